@@ -9,6 +9,8 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
+import { yargKVStores } from './kv-stores.js';
+
 export default class CloudflareConfig {
   constructor() {
     Object.assign(this, {});
@@ -19,7 +21,12 @@ export default class CloudflareConfig {
       .withEmail(argv.cloudflareEmail)
       .withAuth(argv.cloudflareAuth)
       .withTestDomain(argv.cloudflareTestDomain)
-      .withAccountID(argv.cloudflareAccountId);
+      .withAccountID(argv.cloudflareAccountId)
+      .withKVStores(argv.kvStores)
+      .withCron(argv.cloudflareCron)
+      .withRollback(argv.cloudflareRollback)
+      .withListVersions(argv.cloudflareListVersions)
+      .withScriptLimit(argv.cloudflareScriptLimit);
   }
 
   withAccountID(value) {
@@ -42,13 +49,42 @@ export default class CloudflareConfig {
     return this;
   }
 
+  withKVStores(value) {
+    this.kvStores = value || [];
+    return this;
+  }
+
+  withCron(value) {
+    this.cron = value || [];
+    return this;
+  }
+
+  withRollback(value) {
+    this.rollback = value;
+    return this;
+  }
+
+  withListVersions(value) {
+    this.listVersions = !!value;
+    return this;
+  }
+
+  withScriptLimit(value) {
+    this.scriptLimit = value ?? 10;
+    return this;
+  }
+
   static yarg(yargs) {
-    return yargs
+    return yargKVStores(yargs)
       .group([
         'cloudflare-account-id',
         'cloudflare-auth',
         'cloudflare-email',
         'cloudflare-test-domain',
+        'cloudflare-cron',
+        'cloudflare-rollback',
+        'cloudflare-list-versions',
+        'cloudflare-script-limit',
       ], 'Cloudflare Workers Deployment Options')
       .option('cloudflare-account-id', {
         description: 'the Cloudflare account ID to deploy to',
@@ -69,6 +105,25 @@ export default class CloudflareConfig {
         description: 'the Cloudflare API token from https://dash.cloudflare.com/profile/api-tokens',
         type: 'string',
         default: '',
+      })
+      .option('cloudflare-cron', {
+        description: 'the cron schedules that trigger the scheduled handler of the worker',
+        type: 'array',
+        default: [],
+      })
+      .option('cloudflare-rollback', {
+        description: 'redeploy the given worker version (id or number), or the previously deployed one if empty',
+        type: 'string',
+      })
+      .option('cloudflare-list-versions', {
+        description: 'list the recent worker versions',
+        type: 'boolean',
+        default: false,
+      })
+      .option('cloudflare-script-limit', {
+        description: 'the maximum size of the compressed worker script in MB (3 on the free plan)',
+        type: 'number',
+        default: 10,
       });
   }
 }
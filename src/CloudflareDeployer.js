@@ -10,9 +10,13 @@
  * governing permissions and limitations under the License.
  */
 import fs from 'fs';
+import zlib from 'zlib';
 import FormData from 'form-data';
+import chalk from 'chalk-template';
 import { BaseDeployer } from '@adobe/helix-deploy';
 import CloudflareConfig from './CloudflareConfig.js';
+import { formatDeploymentInfo, getDeploymentInfo } from './deployment-info.js';
+import { checkSizeLimit } from './size-limits.js';
 
 export default class CloudflareDeployer extends BaseDeployer {
   constructor(baseConfig, config) {
@@ -43,11 +47,26 @@ export default class CloudflareDeployer extends BaseDeployer {
 
   async deploy() {
     const body = fs.readFileSync(this.cfg.edgeBundle);
+    // cloudflare limits the size of the gzip compressed script
+    await checkSizeLimit({
+      label: 'Cloudflare worker script',
+      size: zlib.gzipSync(body).length,
+      limit: this._cfg.scriptLimit,
+      cfg: this.cfg,
+      log: this.log,
+    });
     const settings = await this.getSettings();
     const { id } = await this.createKVNamespace(`${this.cfg.packageName}--secrets`);
+    const kvStores = await this.createKVStores();
+    const deployment = getDeploymentInfo(this.cfg);
 
     const metadata = {
-      body_part: 'script',
+      main_module: 'index.js',
+      annotations: {
+        'workers/message': formatDeploymentInfo(deployment),
+        // tags are limited to 25 characters
+        'workers/tag': String(deployment.version).substring(0, 25),
+      },
       bindings: [
         ...Object.entries(this.cfg.params).map(([key, value]) => ({
           name: key,
@@ -59,6 +78,11 @@ export default class CloudflareDeployer extends BaseDeployer {
           namespace_id: id,
           type: 'kv_namespace',
         },
+        ...kvStores.map(({ name, namespace }) => ({
+          name,
+          namespace_id: namespace.id,
+          type: 'kv_namespace',
+        })),
       ],
     };
 
@@ -66,8 +90,9 @@ export default class CloudflareDeployer extends BaseDeployer {
     // you can use multipart/formdata to set metadata according to
     // https://community.cloudflare.com/t/bind-kv-and-workers-via-api/221391
     const form = new FormData();
-    form.append('script', body, {
-      contentType: 'application/javascript',
+    form.append('index.js', body, {
+      filename: 'index.js',
+      contentType: 'application/javascript+module',
     });
     form.append('metadata', JSON.stringify(metadata), {
       contentType: 'application/json',
@@ -85,11 +110,14 @@ export default class CloudflareDeployer extends BaseDeployer {
       const { errors } = await res.json();
       throw new Error(`Unable to upload worker to Cloudflare: ${errors[0].message}`);
     }
+    this.log.info(chalk`{green ok:} deployed ${formatDeploymentInfo(deployment)}`);
 
     await this.updatePackageParams(id, this.cfg.packageParams);
 
     await this.restoreSettings(settings);
 
+    await this.updateSchedules();
+
     await this.enableSubdomain();
   }
 
@@ -138,6 +166,28 @@ export default class CloudflareDeployer extends BaseDeployer {
     return res.ok;
   }
 
+  /**
+   * Registers the configured cron schedules, which trigger the scheduled handler.
+   */
+  async updateSchedules() {
+    // without cron option, the triggers of a previous deployment are cleared
+    const res = await this.fetch(`https://api.cloudflare.com/client/v4/accounts/${this._cfg.accountID}/workers/scripts/${this.fullFunctionName}/schedules`, {
+      method: 'PUT',
+      headers: {
+        Authorization: `Bearer ${this._cfg.auth}`,
+        'content-type': 'application/json',
+      },
+      body: JSON.stringify(this._cfg.cron.map((cron) => ({ cron }))),
+    });
+    if (!res.ok) {
+      const { errors } = await res.json();
+      throw new Error(`Unable to register cron schedules: ${errors[0]?.message || 'unknown error'}`);
+    }
+    if (this._cfg.cron.length) {
+      this.log.info(`--: registered cron schedules: ${this._cfg.cron.join(', ')}`);
+    }
+  }
+
   async updatePackageParams(id, params) {
     const kvlist = Object.entries(params).map(([key, value]) => ({
       key, value,
@@ -182,6 +232,140 @@ export default class CloudflareDeployer extends BaseDeployer {
     return result;
   }
 
+  /**
+   * Creates the KV namespaces for the configured key-value stores. The namespaces are
+   * prefixed with the package name and bound to the worker under the store name.
+   * @returns {Promise<object[]>} the stores with their namespace
+   */
+  async createKVStores() {
+    return Promise.all(this._cfg.kvStores.map(async (name) => {
+      const namespace = await this.createKVNamespace(`${this.cfg.packageName}--${name}`);
+      this.log.debug(`--: using KV namespace ${namespace.id} for store ${name}`);
+      return { name, namespace };
+    }));
+  }
+
+  /**
+   * Calls the Cloudflare API of the account and returns the result.
+   * @param {string} apiPath the path, relative to the account
+   * @param {object} [opts] options
+   * @param {string} [opts.method] the HTTP method
+   * @param {object} [opts.body] the JSON body
+   * @returns {Promise<object>} the `result` of the response
+   */
+  async cloudflareAPI(apiPath, { method = 'GET', body } = {}) {
+    const headers = {
+      Authorization: `Bearer ${this._cfg.auth}`,
+    };
+    if (body) {
+      headers['content-type'] = 'application/json';
+    }
+    const res = await this.fetch(`https://api.cloudflare.com/client/v4/accounts/${this._cfg.accountID}${apiPath}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const json = await res.json();
+    if (!res.ok) {
+      throw new Error(`Cloudflare API request ${method} ${apiPath} failed: ${json.errors?.[0]?.message || res.status}`);
+    }
+    return json.result;
+  }
+
+  /**
+   * Returns the versions of the worker, most recent first.
+   * @returns {Promise<object[]>} the versions
+   */
+  async getVersions() {
+    const { items } = await this.cloudflareAPI(`/workers/scripts/${this.fullFunctionName}/versions`);
+    return items.sort((a, b) => b.number - a.number);
+  }
+
+  /**
+   * Returns the deployments of the worker, most recent first.
+   * @returns {Promise<object[]>} the deployments
+   */
+  async getDeployments() {
+    const { deployments } = await this.cloudflareAPI(`/workers/scripts/${this.fullFunctionName}/deployments`);
+    return deployments.sort((a, b) => new Date(b.created_on) - new Date(a.created_on));
+  }
+
+  /**
+   * Logs the most recent versions of the worker.
+   * @param {number} [limit] the number of versions to list
+   */
+  async listVersions(limit = 10) {
+    const [versions, [current]] = await Promise.all([this.getVersions(), this.getDeployments()]);
+    const deployed = new Set((current?.versions || []).map((v) => v.version_id));
+    this.log.info(chalk`--: recent versions of worker {yellow ${this.fullFunctionName}}:`);
+    versions.slice(0, limit).forEach((v) => {
+      const status = deployed.has(v.id) ? chalk`{green deployed}` : '';
+      this.log.info(chalk`  {yellow ${v.number}} ${v.id} ${status} {grey ${v.metadata?.created_on || ''}}`);
+    });
+  }
+
+  /**
+   * Redeploys a previous version of the worker. Without target version, the version of the
+   * most recent deployment before the current one is used.
+   * @param {string} [target] the version id or number
+   */
+  async rollback(target) {
+    const deployments = await this.getDeployments();
+    const currentId = deployments[0]?.versions?.[0]?.version_id;
+    let versionId;
+    if (target) {
+      const versions = await this.getVersions();
+      const version = versions.find((v) => v.id === target || String(v.number) === target);
+      if (!version) {
+        throw new Error(`Worker version ${target} does not exist`);
+      }
+      versionId = version.id;
+    } else {
+      versionId = deployments
+        .map((d) => d.versions?.[0]?.version_id)
+        .find((id) => id && id !== currentId);
+      if (!versionId) {
+        throw new Error('No previously deployed worker version to roll back to');
+      }
+    }
+    if (versionId === currentId) {
+      this.log.info(chalk`{green ok:} worker version {yellow ${versionId}} is already deployed`);
+      return;
+    }
+    await this.cloudflareAPI(`/workers/scripts/${this.fullFunctionName}/deployments`, {
+      method: 'POST',
+      body: {
+        strategy: 'percentage',
+        versions: [{ version_id: versionId, percentage: 100 }],
+        annotations: {
+          'workers/message': `Rollback from ${currentId} to ${versionId}`,
+        },
+      },
+    });
+    this.log.info(chalk`{green ok:} rolled back worker to version {yellow ${versionId}}`);
+  }
+
+  async validateAdditionalTasks() {
+    if (this._cfg.rollback !== undefined || this._cfg.listVersions) {
+      // these commands do not need a build
+      if (!this.cfg.deploy) {
+        this.cfg.build = false;
+      }
+      if (!this._cfg.auth || !this._cfg.accountID) {
+        throw new Error('Cloudflare target needs token and account ID');
+      }
+    }
+  }
+
+  async runAdditionalTasks() {
+    if (this._cfg.listVersions) {
+      await this.listVersions();
+    }
+    if (this._cfg.rollback !== undefined) {
+      await this.rollback(this._cfg.rollback);
+    }
+  }
+
   async test() {
     return this._cfg.testDomain
       ? this.testRequest({
@@ -9,6 +9,8 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
+import { yargKVStores } from './kv-stores.js';
+
 export default class ComputeAtEdgeConfig {
   constructor() {
     Object.assign(this, {});
@@ -21,7 +23,21 @@ export default class ComputeAtEdgeConfig {
       .withCoralogixToken(argv.coralogixToken)
       .withFastlyGateway(argv.fastlyGateway)
       .withComputeDomain(argv.computeTestDomain)
-      .withCoralogixApp(argv.computeCoralogixApp);
+      .withCoralogixApp(argv.computeCoralogixApp)
+      .withKVStores(argv.kvStores)
+      .withSecretStore(argv.computeSecretStore)
+      .withRolloutTimeout(argv.computeRolloutTimeout)
+      .withStaged(argv.computeStaged)
+      .withPromote(argv.computePromote)
+      .withRollback(argv.computeRollback)
+      .withListVersions(argv.computeListVersions)
+      .withHttpCache(argv.computeHttpCache)
+      .withAOT(argv.computeAot)
+      .withHighResolutionTimers(argv.computeHighResolutionTimers)
+      .withPackageLimit(argv.computePackageLimit)
+      .withCoralogixLogger(argv.computeCoralogixLogger)
+      .withLogEndpoints(argv.computeLogEndpoint)
+      .withBackends(argv.computeBackend);
   }
 
   withServiceID(value) {
@@ -54,9 +70,109 @@ export default class ComputeAtEdgeConfig {
     return this;
   }
 
+  withKVStores(value) {
+    this.kvStores = value || [];
+    return this;
+  }
+
+  withSecretStore(value) {
+    this.secretStore = value;
+    return this;
+  }
+
+  withRolloutTimeout(value) {
+    this.rolloutTimeout = value ?? 300;
+    return this;
+  }
+
+  withStaged(value) {
+    this.staged = !!value;
+    return this;
+  }
+
+  withPromote(value) {
+    this.promote = value;
+    return this;
+  }
+
+  withRollback(value) {
+    this.rollback = value;
+    return this;
+  }
+
+  withListVersions(value) {
+    this.listVersions = !!value;
+    return this;
+  }
+
+  withHttpCache(value) {
+    this.httpCache = value ?? true;
+    return this;
+  }
+
+  withAOT(value) {
+    this.aot = value ?? true;
+    return this;
+  }
+
+  withHighResolutionTimers(value) {
+    this.highResolutionTimers = !!value;
+    return this;
+  }
+
+  withPackageLimit(value) {
+    this.packageLimit = value ?? 100;
+    return this;
+  }
+
+  withCoralogixLogger(value) {
+    this.coralogixLogger = value || 'coralogix';
+    return this;
+  }
+
+  /**
+   * Sets the logging endpoints. Each endpoint is an object, or a JSON string on the command
+   * line, with `type` (https, s3 or syslog), `name` and the settings of the Fastly API.
+   * @param {Array<object|string>} value the endpoints
+   * @returns {ComputeAtEdgeConfig} this
+   */
+  withLogEndpoints(value) {
+    this.logEndpoints = (value || []).map((endpoint) => {
+      const parsed = typeof endpoint === 'string' ? JSON.parse(endpoint) : endpoint;
+      if (!['https', 's3', 'syslog'].includes(parsed.type)) {
+        throw new Error(`Unsupported logging endpoint type: ${parsed.type}`);
+      }
+      if (!parsed.name) {
+        throw new Error('Logging endpoint needs a name');
+      }
+      return parsed;
+    });
+    return this;
+  }
+
+  /**
+   * Sets the additional backends. Each backend is an object, or a JSON string on the command
+   * line, with `name`, `host` and optional `port`, `tls`, timeouts, `shield` and `healthcheck`.
+   * @param {Array<object|string>} value the backends
+   * @returns {ComputeAtEdgeConfig} this
+   */
+  withBackends(value) {
+    this.backends = (value || []).map((backend) => {
+      const parsed = typeof backend === 'string' ? JSON.parse(backend) : backend;
+      if (!parsed.name || !parsed.host) {
+        throw new Error('Backend needs a name and a host');
+      }
+      if (parsed.name === 'gateway') {
+        throw new Error('Backend name "gateway" is reserved for the gateway backend');
+      }
+      return parsed;
+    });
+    return this;
+  }
+
   static yarg(yargs) {
-    return yargs
-      .group(['compute-service-id', 'compute-domain', 'fastly-auth', 'coralogix-token', 'compute-coralogix-app'], 'Fastly Compute@Edge Options')
+    return yargKVStores(yargs)
+      .group(['compute-service-id', 'compute-domain', 'fastly-auth', 'coralogix-token', 'compute-coralogix-app', 'compute-secret-store', 'compute-rollout-timeout', 'compute-staged', 'compute-promote', 'compute-rollback', 'compute-list-versions', 'compute-http-cache', 'compute-aot', 'compute-high-resolution-timers', 'compute-package-limit', 'compute-coralogix-logger', 'compute-log-endpoint', 'compute-backend'], 'Fastly Compute@Edge Options')
       .option('compute-service-id', {
         description: 'the Fastly Service to deploy the action to',
         type: 'string',
@@ -86,6 +202,69 @@ export default class ComputeAtEdgeConfig {
         description: 'the Application name',
         type: 'string',
         default: 'fastly-compute',
+      })
+      .option('compute-secret-store', {
+        description: 'the name of the Fastly Secret Store to provision for the action params (instead of the secrets dictionary)',
+        type: 'string',
+        default: '',
+      })
+      .option('compute-rollout-timeout', {
+        description: 'the number of seconds to wait for the activated service version to be served',
+        type: 'number',
+        default: 300,
+      })
+      .option('compute-staged', {
+        description: 'upload the action to a new service version without activating it',
+        type: 'boolean',
+        default: false,
+      })
+      .option('compute-promote', {
+        description: 'activate the given staged service version',
+        type: 'number',
+      })
+      .option('compute-rollback', {
+        description: 'reactivate the given service version, or the previously active one if empty',
+        type: 'string',
+      })
+      .option('compute-list-versions', {
+        description: 'list the recent service versions',
+        type: 'boolean',
+        default: false,
+      })
+      .option('compute-http-cache', {
+        description: 'enable the HTTP cache API in the WASM build',
+        type: 'boolean',
+        default: true,
+      })
+      .option('compute-aot', {
+        description: 'compile the action ahead of time (AOT) in the WASM build',
+        type: 'boolean',
+        default: true,
+      })
+      .option('compute-high-resolution-timers', {
+        description: 'enable the experimental high-resolution timer methods in the WASM build',
+        type: 'boolean',
+        default: false,
+      })
+      .option('compute-coralogix-logger', {
+        description: 'the name of the Coralogix logging endpoint, for use in context.attributes.loggers',
+        type: 'string',
+        default: 'coralogix',
+      })
+      .option('compute-log-endpoint', {
+        description: 'a logging endpoint to provision, as JSON with type (https, s3 or syslog), name and settings',
+        type: 'array',
+        default: [],
+      })
+      .option('compute-backend', {
+        description: 'a backend to create, as JSON with name, host and optional port, tls, timeouts, shield and healthcheck',
+        type: 'array',
+        default: [],
+      })
+      .option('compute-package-limit', {
+        description: 'the maximum size of the compressed Compute@Edge package in MB',
+        type: 'number',
+        default: 100,
       });
   }
 }
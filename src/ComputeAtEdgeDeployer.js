@@ -10,6 +10,7 @@
  * governing permissions and limitations under the License.
  */
 import chalk from 'chalk-template';
+import crypto from 'crypto';
 import path from 'path';
 import fs from 'fs/promises';
 import * as tar from 'tar';
@@ -18,6 +19,107 @@ import { compileApplicationToWasm } from '@fastly/js-compute/src/compileApplicat
 import { parseInputs } from '@fastly/js-compute/src/parseInputs.js';
 import { BaseDeployer } from '@adobe/helix-deploy';
 import ComputeAtEdgeConfig from './ComputeAtEdgeConfig.js';
+import {
+  formatDeploymentInfo, getBuildHash, getBundleHashFile, getDeploymentInfo, parseBuildHash,
+} from './deployment-info.js';
+import { checkSizeLimit } from './size-limits.js';
+
+/**
+ * Name of the resource link of the secret store, as used by the fastly adapter.
+ */
+const SECRET_STORE_LINK = 'secret-store';
+
+/**
+ * Entry of the secrets dictionary with the Coralogix logging endpoint, as used by the fastly
+ * adapter.
+ */
+const CORALOGIX_ENTRY = '_coralogix';
+
+/**
+ * Request header that makes the fastly adapter respond with the service version in the
+ * `x-edge-service-version` header.
+ */
+const ROLLOUT_PROBE_HEADER = 'x-edge-rollout-probe';
+
+/**
+ * The methods of fastly-native-promises that create or update a logging endpoint, by type.
+ */
+const LOG_ENDPOINT_WRITERS = {
+  https: 'writeHttps',
+  s3: 'writeS3',
+  syslog: 'writeSyslog',
+};
+
+/**
+ * Converts a backend of the config to the backend resource of the Fastly API. The defaults
+ * are the settings of the gateway backend.
+ * @param {object} backend the backend config
+ * @returns {object} the Fastly backend
+ */
+function toFastlyBackend({
+  name,
+  host,
+  port,
+  tls = true,
+  overrideHost = host,
+  connectTimeout = 5000,
+  firstByteTimeout = 60000,
+  betweenBytesTimeout = 10000,
+  maxConn = 200,
+  shield = '',
+  healthcheck,
+}) {
+  return {
+    name,
+    address: host,
+    hostname: host,
+    override_host: overrideHost,
+    port: port ?? (tls ? 443 : 80),
+    use_ssl: tls,
+    ...(tls && {
+      ssl_cert_hostname: host,
+      ssl_sni_hostname: host,
+    }),
+    connect_timeout: connectTimeout,
+    first_byte_timeout: firstByteTimeout,
+    between_bytes_timeout: betweenBytesTimeout,
+    max_conn: maxConn,
+    shield,
+    error_threshold: 0,
+    weight: 100,
+    ...(healthcheck && { healthcheck: `${name}-healthcheck` }),
+  };
+}
+
+/**
+ * Converts the health check of a backend config to the healthcheck resource of the Fastly API.
+ * @param {object} backend the backend config
+ * @returns {object} the Fastly healthcheck
+ */
+function toFastlyHealthcheck({ name, host, healthcheck }) {
+  const {
+    path: checkPath = '/',
+    method = 'HEAD',
+    expectedResponse = 200,
+    interval = 60000,
+    timeout = 5000,
+    window = 5,
+    threshold = 3,
+    initial = 3,
+  } = healthcheck;
+  return {
+    name: `${name}-healthcheck`,
+    host: healthcheck.host || host,
+    path: checkPath,
+    method,
+    expected_response: expectedResponse,
+    check_interval: interval,
+    timeout,
+    window,
+    threshold,
+    initial,
+  };
+}
 
 /**
  * The class ComputeAtEdgeDeployer deploys to Fastly's Compute(at)Edge (WASM) runtime.
@@ -34,6 +136,8 @@ export default class ComputeAtEdgeDeployer extends BaseDeployer {
       _cfg: config,
       _fastly: null,
       noGatewayBackend: true,
+      pollInterval: 5000,
+      compile: compileApplicationToWasm,
     });
   }
 
@@ -63,11 +167,17 @@ export default class ComputeAtEdgeDeployer extends BaseDeployer {
    */
   async bundle() {
     const bundleDir = path.dirname(this.cfg.edgeBundle);
+    const { httpCache, highResolutionTimers, aot } = this._cfg;
     this.log.debug(`--: creating fastly.toml in ${bundleDir}`);
-    fs.writeFile(path.resolve(bundleDir, 'fastly.toml'), `
+    await fs.writeFile(path.resolve(bundleDir, 'fastly.toml'), `
 # This file describes a Fastly Compute@Edge package. To learn more visit:
 # https://developer.fastly.com/reference/fastly-toml/
 
+# compiled with @fastly/js-compute:
+# http_cache = ${httpCache}
+# aot = ${aot}
+# high_resolution_timers = ${highResolutionTimers}
+
 authors = ["Helix Deploy"]
 description = "${this.cfg.packageName} project generated by Helix Deploy"
 language = "javascript"
@@ -82,17 +192,19 @@ service_id = ""
       wasmEngine,
     } = await parseInputs([this.cfg.edgeBundle, path.resolve(bundleDir, 'bin', 'main.wasm')]);
 
+    this.log.info(chalk`--: compiling WASM bundle with {grey httpCache=${httpCache} aot=${aot} highResolutionTimers=${highResolutionTimers}}`);
+
     return new Promise((resolve, reject) => {
       this.log.debug('--: creating WASM bundle of script and interpreter');
-      compileApplicationToWasm(
+      this.compile(
         input, // input file
         output, // output file
         wasmEngine, // wasm engine
-        true, // enableHttpCache
-        false, // enableExperimentalHighResolutionTimeMethods
-        true, // enableAOT
+        httpCache, // enableHttpCache
+        highResolutionTimers, // enableExperimentalHighResolutionTimeMethods
+        aot, // enableAOT
         '', // aotCache
-        true, // moduleMode
+        true, // moduleMode, the EdgeBundler creates an ES module
         true, // doBundle
       )
         .then(async () => {
@@ -106,7 +218,15 @@ service_id = ""
             file,
           }, ['bin/main.wasm', 'fastly.toml']);
           this.log.debug(chalk`{green ok:} created tar file in ${bundleDir}/fastly-bundle.tar.gz`);
-          resolve(fs.readFile(file));
+          const buf = await fs.readFile(file);
+          await checkSizeLimit({
+            label: 'Fastly package',
+            size: buf.length,
+            limit: this._cfg.packageLimit,
+            cfg: this.cfg,
+            log: this.log,
+          });
+          resolve(buf);
         })
         // c8 ignore next 3
         .catch((err) => {
@@ -115,67 +235,451 @@ service_id = ""
     });
   }
 
+  /**
+   * The hash of the deploy config that is not part of the WASM bundle, eg. the backends,
+   * stores and logging endpoints.
+   */
+  get configHash() {
+    return crypto.createHash('sha256').update(JSON.stringify({
+      gateway: this._cfg.fastlyGateway,
+      secretStore: this._cfg.secretStore,
+      kvStores: this._cfg.kvStores,
+      logEndpoints: this.logEndpoints,
+      coralogixApp: this._cfg.coralogixApp,
+      backends: this._cfg.backends,
+    })).digest('hex');
+  }
+
+  /**
+   * Returns the number and build hash of the active service version. The build hash is
+   * part of the version comment, see `formatDeploymentInfo()`.
+   * @returns {Promise<object|null>} the `version` and `buildHash`, or null if no version
+   *                                 is active
+   */
+  async getActiveBuild() {
+    const versions = await this.getVersions();
+    const active = versions.find((v) => v.active);
+    if (!active) {
+      return null;
+    }
+    return { version: active.number, buildHash: parseBuildHash(active.comment) };
+  }
+
+  /**
+   * Returns the build hash of the deploy: the hash of the bundled modules, as written by the
+   * EdgeBundler, with the compile options and the deploy config, so that option and config
+   * changes are deployed.
+   * @returns {Promise<string|null>} the build hash, or null if the bundle has no hash
+   */
+  async computeBuildHash() {
+    let bundleHash;
+    try {
+      bundleHash = await fs.readFile(getBundleHashFile(this.cfg), 'utf-8');
+    } catch {
+      return null;
+    }
+    const { httpCache, highResolutionTimers, aot } = this._cfg;
+    return getBuildHash(bundleHash, {
+      compile: { httpCache, highResolutionTimers, aot },
+      config: this.configHash,
+    });
+  }
+
   async deploy() {
-    const buf = await this.bundle();
     this.init();
+    // the build hash is compared before the bundle is compiled, which takes a while
+    this.buildHash = await this.computeBuildHash();
+    const active = await this.getActiveBuild();
+    if (this.buildHash && active?.buildHash === this.buildHash) {
+      this.log.info(chalk`{green ok:} package unchanged, service version {yellow ${active.version}} is up to date. updating params only.`);
+      await this.updateParams();
+      await this._fastly.discard();
+      return;
+    }
 
-    await this._fastly.transact(async (version) => {
+    const buf = await this.bundle();
+    const { staged } = this._cfg;
+    const deployment = { ...getDeploymentInfo(this.cfg), buildHash: this.buildHash };
+    const newVersion = await this._fastly.transact(async (version) => {
       this.log.debug('--: uploading package to fastly, service version', version);
       await this._fastly.writePackage(version, buf);
 
+      await this.fastlyAPI(`/service/${this._cfg.service}/version/${version}`, {
+        method: 'PUT',
+        body: { comment: formatDeploymentInfo(deployment) },
+      });
+
       this.log.debug('--: creating secrets dictionary');
       await this._fastly.writeDictionary(version, 'secrets', {
         name: 'secrets',
         write_only: 'true',
       });
+      if (this._cfg.coralogixToken) {
+        // the fastly adapter sends the entries of this logger in the format of coralogix
+        await this._fastly.updateDictItem(version, 'secrets', CORALOGIX_ENTRY, JSON.stringify({
+          logger: this._cfg.coralogixLogger,
+          applicationName: this._cfg.coralogixApp,
+        }));
+      }
 
       const host = this._cfg.fastlyGateway;
-      const backend = {
-        hostname: host,
-        ssl_cert_hostname: host,
-        ssl_sni_hostname: host,
-        address: host,
-        override_host: host,
-        name: 'gateway',
-        error_threshold: 0,
-        first_byte_timeout: 60000,
-        weight: 100,
-        connect_timeout: 5000,
-        port: 443,
-        between_bytes_timeout: 10000,
-        shield: '', // 'bwi-va-us',
-        max_conn: 200,
-        use_ssl: true,
-      };
       if (host) {
         this.log.debug(`--: updating gateway backend: ${host}`);
-        await this._fastly.writeBackend(version, 'gateway', backend);
+        await this._fastly.writeBackend(version, 'gateway', toFastlyBackend({ name: 'gateway', host }));
       }
-    }, true);
 
-    this.log.debug('--: waiting for 90 seconds for Fastly to process the deployment...');
-    await new Promise((resolve) => {
-      setTimeout(resolve, 90000);
-    });
-    this.log.debug('--: continuing after wait period');
+      await this.writeBackends(version);
+
+      await this.enableLogging(version);
+
+      if (this._cfg.secretStore) {
+        this.log.debug(`--: linking secret store: ${this._cfg.secretStore}`);
+        const store = await this.ensureStore('secret', this._cfg.secretStore);
+        await this.linkResource(version, store.id, SECRET_STORE_LINK);
+      }
+
+      for (const name of this._cfg.kvStores) {
+        this.log.debug(`--: linking KV store: ${name}`);
+        // eslint-disable-next-line no-await-in-loop
+        const store = await this.ensureStore('kv', `${this.cfg.packageName}--${name}`);
+        // eslint-disable-next-line no-await-in-loop
+        await this.linkResource(version, store.id, name);
+      }
+      return version;
+    }, !staged);
+
+    this.log.info(chalk`{green ok:} service version {yellow ${newVersion}}: ${formatDeploymentInfo(deployment)}`);
+
+    if (staged) {
+      this.log.info(chalk`{green ok:} staged service version {yellow ${newVersion}}. activate it with {grey --compute-promote ${newVersion}}`);
+    } else {
+      await this.waitForRollout(newVersion);
+    }
 
     await this._fastly.discard();
   }
 
+  /**
+   * Creates or updates the configured backends, and their health checks, so that actions
+   * can use them with the `backend` option of `fetch()`.
+   * @param {number} version the service version
+   */
+  async writeBackends(version) {
+    for (const backend of this._cfg.backends) {
+      this.log.info(chalk`--: setting up backend {yellow ${backend.name}} for {yellow ${backend.host}}`);
+      if (backend.healthcheck) {
+        // eslint-disable-next-line no-await-in-loop
+        await this._fastly.writeHealthcheck(version, `${backend.name}-healthcheck`, toFastlyHealthcheck(backend));
+      }
+      // eslint-disable-next-line no-await-in-loop
+      await this._fastly.writeBackend(version, backend.name, toFastlyBackend(backend));
+    }
+  }
+
+  /**
+   * Returns the logging endpoints to provision, including the Coralogix endpoint if a
+   * Coralogix token is configured. Compute services ignore the log format of endpoints, so
+   * the entries for Coralogix are formatted by the logger of the fastly adapter.
+   * @returns {object[]} the endpoints
+   */
+  get logEndpoints() {
+    const endpoints = [...this._cfg.logEndpoints];
+    if (this._cfg.coralogixToken) {
+      endpoints.unshift({
+        type: 'https',
+        name: this._cfg.coralogixLogger,
+        url: 'https://api.coralogix.com/logs/rest/singles',
+        request_max_bytes: 2000000,
+        content_type: 'application/json',
+        header_name: 'private_key',
+        header_value: this._cfg.coralogixToken,
+        json_format: '1',
+      });
+    }
+    return endpoints;
+  }
+
+  /**
+   * Creates or updates the logging endpoints, so that actions can write to them by adding
+   * their names to `context.attributes.loggers`.
+   * @param {number} version the service version
+   */
+  async enableLogging(version) {
+    for (const { type, name, ...settings } of this.logEndpoints) {
+      this.log.info(chalk`--: setting up {yellow ${type}} logging endpoint {yellow ${name}}`);
+      // eslint-disable-next-line no-await-in-loop
+      await this._fastly[LOG_ENDPOINT_WRITERS[type]](version, name, {
+        name,
+        ...settings,
+      });
+    }
+  }
+
+  /**
+   * Activates a staged service version and waits for its rollout.
+   * @param {number} version the service version
+   */
+  async promote(version) {
+    this.init();
+    this.log.info(chalk`--: activating service version {yellow ${version}} ...`);
+    await this._fastly.activateVersion(version);
+    await this.waitForRollout(version);
+    await this._fastly.discard();
+  }
+
+  /**
+   * Returns the versions of the service, most recent first.
+   * @returns {Promise<object[]>} the service versions
+   */
+  async getVersions() {
+    const versions = await this.fastlyAPI(`/service/${this._cfg.service}/version`);
+    return versions.sort((a, b) => b.number - a.number);
+  }
+
+  /**
+   * Logs the most recent versions of the service.
+   * @param {number} [limit] the number of versions to list
+   */
+  async listVersions(limit = 10) {
+    const versions = await this.getVersions();
+    this.log.info(chalk`--: recent versions of service {yellow ${this._cfg.service}}:`);
+    versions.slice(0, limit).forEach((v) => {
+      let status = v.locked ? 'locked' : 'draft';
+      if (v.active) {
+        status = chalk`{green active}`;
+      }
+      this.log.info(chalk`  {yellow ${v.number}} ${status} {grey ${v.updated_at || ''}} ${v.comment || ''}`);
+    });
+  }
+
+  /**
+   * Reactivates a previous service version. Without target version, the most recent
+   * locked version before the active one is used, since every activated version is locked.
+   * @param {number} [target] the service version to activate
+   */
+  async rollback(target) {
+    const versions = await this.getVersions();
+    const active = versions.find((v) => v.active);
+    let version;
+    if (target) {
+      version = versions.find((v) => v.number === Number(target));
+      if (!version) {
+        throw new Error(`Service version ${target} does not exist`);
+      }
+    } else {
+      version = versions
+        .find((v) => v.locked && !v.active && (!active || v.number < active.number));
+      if (!version) {
+        throw new Error('No previously active service version to roll back to');
+      }
+    }
+    if (active && active.number === version.number) {
+      this.log.info(chalk`{green ok:} service version {yellow ${version.number}} is already active`);
+      return;
+    }
+    this.log.info(chalk`--: rolling back from version {yellow ${active?.number}} to {yellow ${version.number}} ...`);
+    await this.promote(version.number);
+  }
+
+  async validateAdditionalTasks() {
+    if (this._cfg.promote || this._cfg.rollback !== undefined || this._cfg.listVersions) {
+      // these commands do not need a build
+      if (!this.cfg.deploy) {
+        this.cfg.build = false;
+      }
+      this.validate();
+    }
+  }
+
+  async runAdditionalTasks() {
+    if (this._cfg.listVersions) {
+      await this.listVersions();
+    }
+    if (this._cfg.rollback !== undefined) {
+      await this.rollback(this._cfg.rollback);
+    }
+    if (this._cfg.promote) {
+      await this.promote(this._cfg.promote);
+    }
+  }
+
+  /**
+   * Waits until the service version is active and, if a test domain is configured, served
+   * by the edge. Fails if this takes longer than the rollout timeout.
+   * @param {number} version the activated service version
+   */
+  async waitForRollout(version) {
+    const timeout = this._cfg.rolloutTimeout;
+    const deadline = Date.now() + timeout * 1000;
+    const sleep = () => new Promise((resolve) => {
+      setTimeout(resolve, this.pollInterval);
+    });
+
+    this.log.info(chalk`--: waiting for service version {yellow ${version}} to be active ...`);
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      // eslint-disable-next-line no-await-in-loop
+      const { active } = await this.fastlyAPI(`/service/${this._cfg.service}/version/${version}`);
+      if (active) {
+        break;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Service version ${version} was not activated within ${timeout} seconds`);
+      }
+      // eslint-disable-next-line no-await-in-loop
+      await sleep();
+    }
+
+    if (!this._cfg.testDomain) {
+      this.log.info(chalk`{green ok:} service version {yellow ${version}} is active`);
+      return;
+    }
+
+    const url = `https://${this._cfg.testDomain}.edgecompute.app${this.cfg.testPath || ''}`;
+    this.log.info(chalk`--: waiting for {blueBright ${url}} to serve version {yellow ${version}} ...`);
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const res = await this.fetch(url, {
+          headers: { [ROLLOUT_PROBE_HEADER]: 'true' },
+          cache: 'no-store',
+          redirect: 'manual',
+        });
+        // eslint-disable-next-line no-await-in-loop
+        await res.text();
+        const served = res.headers.get('x-edge-service-version');
+        if (served === String(version)) {
+          this.log.info(chalk`{green ok:} service version {yellow ${version}} is served`);
+          return;
+        }
+        this.log.debug(`--: edge still serves version ${served || 'unknown'} (${res.status})`);
+      } catch (e) {
+        this.log.debug(`--: rollout probe failed: ${e.message}`);
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Service version ${version} was not served by ${url} within ${timeout} seconds`);
+      }
+      // eslint-disable-next-line no-await-in-loop
+      await sleep();
+    }
+  }
+
+  /**
+   * Sends a request to the Fastly API. Used for the store and resource APIs,
+   * which expect JSON bodies.
+   * @param {string} apiPath the API path
+   * @param {object} [opts] request options
+   * @param {string} [opts.method] the HTTP method
+   * @param {object} [opts.body] the JSON body
+   * @returns {Promise<object>} the parsed response
+   */
+  async fastlyAPI(apiPath, { method = 'GET', body } = {}) {
+    const res = await this.fetch(`https://api.fastly.com${apiPath}`, {
+      method,
+      headers: {
+        'Fastly-Key': this._cfg.auth,
+        accept: 'application/json',
+        ...(body && { 'content-type': 'application/json' }),
+      },
+      ...(body && { body: JSON.stringify(body) }),
+    });
+    if (!res.ok) {
+      throw new Error(`Fastly API request ${method} ${apiPath} failed: ${res.status} ${await res.text()}`);
+    }
+    return res.json();
+  }
+
+  /**
+   * Returns the store of the given type with the given name, and creates it if it
+   * doesn't exist yet.
+   * @param {string} type the store type, eg. `kv` or `secret`
+   * @param {string} name the name of the store
+   * @returns {Promise<object>} the store
+   */
+  async ensureStore(type, name) {
+    let cursor = '';
+    do {
+      // eslint-disable-next-line no-await-in-loop
+      const { data, meta } = await this.fastlyAPI(`/resources/stores/${type}?limit=200${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`);
+      const store = data.find((s) => s.name === name);
+      if (store) {
+        return store;
+      }
+      cursor = meta?.next_cursor;
+    } while (cursor);
+
+    this.log.info(chalk`--: creating ${type} store {yellow ${name}}`);
+    return this.fastlyAPI(`/resources/stores/${type}`, {
+      method: 'POST',
+      body: { name },
+    });
+  }
+
+  /**
+   * Links a resource (eg. a store) to the service version, unless a link with the
+   * same name already exists.
+   * @param {number} version the service version
+   * @param {string} id the resource id
+   * @param {string} name the name of the link, used to access the resource at runtime
+   */
+  async linkResource(version, id, name) {
+    const resourcePath = `/service/${this._cfg.service}/version/${version}/resource`;
+    const links = await this.fastlyAPI(resourcePath);
+    if (links.find((link) => link.name === name)) {
+      return;
+    }
+    await this.fastlyAPI(resourcePath, {
+      method: 'POST',
+      body: {
+        resource_id: id,
+        name,
+      },
+    });
+  }
+
+  /**
+   * Uploads the params as secrets to the secret store.
+   * @param {object} params the params
+   */
+  async updateSecrets(params) {
+    const store = await this.ensureStore('secret', this._cfg.secretStore);
+    this.log.info(chalk`--: updating params in secret store {yellow ${this._cfg.secretStore}}`);
+    await Promise.all(Object.entries(params).map(([name, value]) => this.fastlyAPI(`/resources/stores/secret/${store.id}/secrets`, {
+      method: 'PUT',
+      body: {
+        name,
+        secret: Buffer.from(String(value)).toString('base64'),
+      },
+    })));
+  }
+
+  /**
+   * Updates the action params of the active service version, either in the secret store
+   * or in the secrets dictionary.
+   */
+  async updateParams() {
+    if (this._cfg.secretStore) {
+      await this.updateSecrets(this.cfg.params);
+    } else {
+      const functionparams = Object
+        .entries(this.cfg.params)
+        .map(([key, value]) => ({
+          item_key: key,
+          item_value: value,
+          op: 'update',
+        }));
+
+      await this._fastly.bulkUpdateDictItems(undefined, 'secrets', ...functionparams);
+    }
+  }
+
   async updatePackage() {
     this.log.info(`--: updating app (gateway) config for https://${this._cfg.fastlyGateway}/${this.cfg.packageName}/...`);
 
     this.init();
 
-    const functionparams = Object
-      .entries(this.cfg.params)
-      .map(([key, value]) => ({
-        item_key: key,
-        item_value: value,
-        op: 'update',
-      }));
-
-    await this._fastly.bulkUpdateDictItems(undefined, 'secrets', ...functionparams);
+    await this.updateParams();
     await this._fastly.updateDictItem(undefined, 'secrets', '_token', this.cfg.packageToken);
     await this._fastly.updateDictItem(undefined, 'secrets', '_package', `https://${this._cfg.fastlyGateway}/${this.cfg.packageName}/`);
 
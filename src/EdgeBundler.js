@@ -10,8 +10,11 @@
  * governing permissions and limitations under the License.
  */
 import { fileURLToPath } from 'url';
+import fs from 'fs/promises';
 import path from 'path';
 import { WebpackBundler } from '@adobe/helix-deploy-plugin-webpack';
+import { getModuleSizesFile } from './size-limits.js';
+import { getBundleHash, getBundleHashFile } from './deployment-info.js';
 
 // eslint-disable-next-line no-underscore-dangle
 const __dirname = path.resolve(fileURLToPath(import.meta.url), '..');
@@ -25,8 +28,40 @@ export default class EdgeBundler extends WebpackBundler {
     this.arch = 'edge';
   }
 
+  /**
+   * The file name of the build metadata module.
+   * @returns {string} the file name
+   */
+  get buildInfoName() {
+    return `${this.cfg.name}-build-info.js`;
+  }
+
+  /**
+   * Writes the build metadata module that replaces `template/build-info.js` in the bundle.
+   * @returns {Promise<string>} the path of the generated module
+   */
+  async writeBuildInfo() {
+    const { cfg } = this;
+    const buildInfo = {
+      package: cfg.packageName,
+      name: cfg.baseName || cfg.name,
+      version: cfg.version,
+      // the function name as created by the deployers
+      fullName: `${cfg.packageName}--${cfg.name}`
+        .replace(/\./g, '_')
+        .replace('@', '_'),
+      gitRef: cfg.gitRef || null,
+      updatedAt: cfg.updatedAt || null,
+    };
+    const file = path.resolve(path.dirname(cfg.edgeBundle), this.buildInfoName);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, `export default ${JSON.stringify(buildInfo, null, 2)};\n`, 'utf-8');
+    return file;
+  }
+
   async getWebpackConfig() {
     const { cfg } = this;
+    const buildInfoFile = await this.writeBuildInfo();
     const opts = {
       target: 'webworker',
       mode: 'production',
@@ -35,27 +70,45 @@ export default class EdgeBundler extends WebpackBundler {
       output: {
         path: cfg.cwd,
         filename: path.relative(cfg.cwd, cfg.edgeBundle),
-        library: 'main',
-        libraryTarget: 'umd',
+        // cloudflare module workers need an ES module with a default export
+        library: {
+          type: 'module',
+        },
         globalObject: 'globalThis',
       },
+      experiments: {
+        outputModule: true,
+      },
       devtool: false,
-      externals: [
-        ...cfg.externals, // user defined externals for all platforms
-        ...cfg.edgeExternals, // user defined externals for edge compute
-        // the following are imported by the universal adapter and are assumed to be available
-        './params.json',
-        'aws-sdk',
-        '@google-cloud/secret-manager',
-        '@google-cloud/storage',
-        'fastly:env',
-        'fastly:logger',
-      ].reduce((obj, ext) => {
-        // this makes webpack to ignore the module and just leave it as normal require.
-        // eslint-disable-next-line no-param-reassign
-        obj[ext] = `commonjs2 ${ext}`;
-        return obj;
-      }, {}),
+      externals: {
+        ...[
+          ...cfg.externals, // user defined externals for all platforms
+          ...cfg.edgeExternals, // user defined externals for edge compute
+          // the following are imported by the universal adapter and are assumed to be available
+          './params.json',
+          'aws-sdk',
+          '@google-cloud/secret-manager',
+          '@google-cloud/storage',
+        ].reduce((obj, ext) => {
+          // this makes webpack to ignore the module and just leave it as normal require.
+          // eslint-disable-next-line no-param-reassign
+          obj[ext] = `commonjs2 ${ext}`;
+          return obj;
+        }, {}),
+        ...[
+          'fastly:env',
+          'fastly:logger',
+          'fastly:kv-store',
+          'fastly:secret-store',
+          'fastly:compute',
+          'fastly:cache',
+        ].reduce((obj, ext) => {
+          // the platform modules are only available on fastly, so they are kept as dynamic imports
+          // eslint-disable-next-line no-param-reassign
+          obj[ext] = `import ${ext}`;
+          return obj;
+        }, {}),
+      },
       module: {
         rules: [{
           test: /\.js$/,
@@ -71,6 +124,8 @@ export default class EdgeBundler extends WebpackBundler {
         alias: {
           // the main.js is imported in the universal adapter and is _the_ action entry point
           './main.js': cfg.file,
+          // the build metadata of the action
+          './build-info.js': buildInfoFile,
           // 'psl': path.resolve(__dirname, '../node_modules/psl/dist/psl.js'), // inlined data
           '@adobe/fetch': path.resolve(__dirname, 'template/polyfills/fetch.js'),
           '@adobe/helix-fetch': path.resolve(__dirname, 'template/polyfills/fetch.js'),
@@ -136,7 +191,37 @@ export default class EdgeBundler extends WebpackBundler {
     if (!cfg.edgeBundle) {
       throw Error('edge bundle path is undefined');
     }
-    return this.createWebpackBundle('edge');
+    const stats = await this.createWebpackBundle('edge');
+    await this.writeModuleSizes(stats);
+    await this.writeBundleHash(stats);
+    return stats;
+  }
+
+  /**
+   * Writes the hash of the bundled modules, so that the deployers can skip unchanged deploys
+   * before compiling or uploading the bundle.
+   * @param {object} stats the webpack stats
+   */
+  async writeBundleHash(stats) {
+    const { modules = [] } = stats.toJson({
+      all: false, modules: true, source: true, modulesSpace: Infinity,
+    });
+    const hash = getBundleHash(modules, this.buildInfoName);
+    await fs.writeFile(getBundleHashFile(this.cfg), hash, 'utf-8');
+  }
+
+  /**
+   * Writes the sizes of the bundled modules, largest first, so that the deployers can print
+   * a size breakdown if the bundle exceeds the platform limits.
+   * @param {object} stats the webpack stats
+   */
+  async writeModuleSizes(stats) {
+    const { modules = [] } = stats.toJson({ all: false, modules: true });
+    const sizes = modules
+      .filter((m) => typeof m.size === 'number')
+      .map((m) => ({ name: m.name, size: m.size }))
+      .sort((a, b) => b.size - a.size);
+    await fs.writeFile(getModuleSizesFile(this.cfg), JSON.stringify(sizes, null, 2), 'utf-8');
   }
 
   async updateArchive(archive, packageJson) {
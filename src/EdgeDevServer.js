@@ -0,0 +1,105 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import fs from 'fs';
+import { parseEnv } from 'util';
+import { BaseDeployer } from '@adobe/helix-deploy';
+import EdgeBundler from './EdgeBundler.js';
+import DevServer from './emulator/DevServer.js';
+import EdgeDevServerConfig from './EdgeDevServerConfig.js';
+
+/**
+ * Runs the local development server with `--edge-dev`. It is not a deployment target, but
+ * hooks into the additional tasks of the action builder, after the bundle is built.
+ */
+export default class EdgeDevServer extends BaseDeployer {
+  constructor(baseConfig, config) {
+    super(baseConfig);
+    Object.assign(this, {
+      id: 'edge-dev',
+      name: 'Edge Dev Server',
+      _cfg: config,
+    });
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  ready() {
+    // never selected as deployment target
+    return false;
+  }
+
+  /**
+   * Reads the local params from the `.env` file, if it exists.
+   * @returns {object} the params
+   */
+  readEnvFile() {
+    const { env } = this.cfg;
+    if (!env || !fs.existsSync(env)) {
+      return {};
+    }
+    return parseEnv(fs.readFileSync(env, 'utf-8'));
+  }
+
+  /**
+   * Rebuilds the edge bundle.
+   * @returns {Promise<string>} the path of the bundle
+   */
+  async build() {
+    const stats = await new EdgeBundler(this.cfg).createBundle();
+    if (stats.hasErrors()) {
+      throw new Error(stats.toString({ all: false, errors: true }));
+    }
+    return this.cfg.edgeBundle;
+  }
+
+  createServer() {
+    const env = {
+      ...this.readEnvFile(),
+      ...this.cfg.params,
+    };
+    return new DevServer({
+      bundle: this.cfg.edgeBundle,
+      build: () => this.build(),
+      port: this._cfg.port,
+      watch: this.cfg.cwd,
+      log: this.log,
+      emulator: {
+        platform: this._cfg.platform,
+        env,
+        packageParams: this.cfg.packageParams,
+        kvStores: Object.fromEntries(this._cfg.kvStores.map((name) => [name, {}])),
+      },
+    });
+  }
+
+  async validateAdditionalTasks() {
+    if (this._cfg.dev) {
+      // the dev server needs a fresh bundle and never deploys
+      this.cfg.build = true;
+      this.cfg.deploy = false;
+      this.cfg.test = undefined;
+    }
+  }
+
+  async runAdditionalTasks() {
+    if (!this._cfg.dev) {
+      return;
+    }
+    const server = await this.createServer().start();
+    await new Promise((resolve) => {
+      process.once('SIGINT', resolve);
+      process.once('SIGTERM', resolve);
+    });
+    await server.stop();
+  }
+}
+
+EdgeDevServer.Config = EdgeDevServerConfig;
@@ -0,0 +1,71 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { yargKVStores } from './kv-stores.js';
+
+export default class EdgeDevServerConfig {
+  constructor() {
+    Object.assign(this, {});
+  }
+
+  configure(argv) {
+    return this
+      .withDev(argv.edgeDev)
+      .withPlatform(argv.edgeDevPlatform)
+      .withPort(argv.edgeDevPort)
+      .withKVStores(argv.kvStores);
+  }
+
+  withDev(value) {
+    this.dev = !!value;
+    return this;
+  }
+
+  withPlatform(value) {
+    this.platform = value || 'fastly';
+    return this;
+  }
+
+  withPort(value) {
+    this.port = value ?? 3000;
+    return this;
+  }
+
+  withKVStores(value) {
+    this.kvStores = value || [];
+    return this;
+  }
+
+  static yarg(yargs) {
+    return yargKVStores(yargs)
+      .group([
+        'edge-dev',
+        'edge-dev-platform',
+        'edge-dev-port',
+      ], 'Edge Development Server Options')
+      .option('edge-dev', {
+        description: 'build the edge bundle and serve it locally, rebuilding it on changes',
+        type: 'boolean',
+        default: false,
+      })
+      .option('edge-dev-platform', {
+        description: 'the platform to emulate in the development server',
+        type: 'string',
+        choices: ['fastly', 'cloudflare'],
+        default: 'fastly',
+      })
+      .option('edge-dev-port', {
+        description: 'the port of the development server',
+        type: 'number',
+        default: 3000,
+      });
+  }
+}
@@ -0,0 +1,88 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import crypto from 'crypto';
+import path from 'path';
+
+/**
+ * Returns the metadata that the deployers attach to a deployment, so that a deployed
+ * version can be correlated with the code it contains.
+ * @param {object} cfg the base config
+ * @returns {object} the package, action name, version, git SHA and deploy timestamp
+ */
+export function getDeploymentInfo(cfg) {
+  return {
+    package: cfg.packageName,
+    name: cfg.baseName || cfg.name,
+    version: cfg.version,
+    gitRef: cfg.gitRef || null,
+    deployedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Formats the deployment metadata as a single line, eg. for a version comment.
+ * @param {object} info the deployment metadata
+ * @returns {string} the description
+ */
+export function formatDeploymentInfo(info) {
+  const ref = info.gitRef ? ` (${info.gitRef.substring(0, 12)})` : '';
+  const build = info.buildHash ? `, build ${info.buildHash}` : '';
+  return `${info.package}/${info.name}@${info.version}${ref} deployed at ${info.deployedAt}${build}`;
+}
+
+/**
+ * Returns the path of the bundle hash file that the EdgeBundler writes next to the bundle.
+ * @param {object} cfg the base config
+ * @returns {string} the path
+ */
+export function getBundleHashFile(cfg) {
+  return path.resolve(path.dirname(cfg.edgeBundle), `${cfg.name}-bundle-hash.txt`);
+}
+
+/**
+ * Returns the hash of the sources of the bundled modules. The build info module is left
+ * out, since it contains the build time, which does not change the behavior of the action.
+ * Bundles of the same code therefore have the same hash.
+ * @param {object[]} modules the `name` and `source` of the modules, from the webpack stats
+ * @param {string} buildInfoName the file name of the build info module
+ * @returns {string} the sha256 hex digest
+ */
+export function getBundleHash(modules, buildInfoName) {
+  const hash = crypto.createHash('sha256');
+  modules
+    .filter(({ name }) => name && !name.endsWith(buildInfoName))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(({ name, source }) => hash.update(`${name}\n${source ?? ''}\n`));
+  return hash.digest('hex');
+}
+
+/**
+ * Returns the hash of the inputs of a deploy: the bundle hash and the build options.
+ * @param {string} bundleHash the hash of the bundle, see `getBundleHash()`
+ * @param {object} [options] the build options, eg. compile options and deploy config
+ * @returns {string} the sha256 hex digest
+ */
+export function getBuildHash(bundleHash, options = {}) {
+  return crypto.createHash('sha256')
+    .update(bundleHash)
+    .update(JSON.stringify(options))
+    .digest('hex');
+}
+
+/**
+ * Extracts the build hash from a description created by `formatDeploymentInfo()`.
+ * @param {string} [text] the description, eg. a version comment
+ * @returns {string|null} the build hash, or null if there is none
+ */
+export function parseBuildHash(text) {
+  return /, build ([0-9a-f]{64})$/.exec(text || '')?.[1] ?? null;
+}
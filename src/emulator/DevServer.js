@@ -0,0 +1,214 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import chalk from 'chalk-template';
+import EdgeEmulator from './EdgeEmulator.js';
+
+/**
+ * Directories that are not watched for changes.
+ */
+const DEFAULT_IGNORE = ['.git', 'node_modules', 'dist', 'logs', 'coverage'];
+
+/**
+ * Parses a log entry of the emulator into target, level and message. The structured logs
+ * of the context logger are JSON, prefixed with `target\tlevel\t` on cloudflare.
+ * @param {object} entry the log entry
+ * @returns {object} the target, level and message
+ */
+export function parseLogEntry({ target, level, message }) {
+  let result = { target, level: level || 'info', message };
+  const segs = message.split('\t');
+  if (target === 'console' && segs.length === 3) {
+    result = { target: segs[0], level: segs[1], message: segs[2] };
+  }
+  try {
+    const data = JSON.parse(result.message);
+    if (data && typeof data.level === 'string') {
+      result.level = data.level;
+    }
+  } catch {
+    // not a structured log
+  }
+  return result;
+}
+
+/**
+ * Local development server, that serves the requests with an edge bundle running in the
+ * EdgeEmulator. The bundle is rebuilt when the sources change.
+ */
+export default class DevServer {
+  /**
+   * @param {object} opts options
+   * @param {function} opts.build rebuilds the bundle and returns its path
+   * @param {string} opts.bundle the path of the initial bundle
+   * @param {object} opts.emulator the options of the EdgeEmulator, except `bundle`
+   * @param {number} [opts.port] the port to listen on, 0 for a random port
+   * @param {string} [opts.watch] the directory to watch for changes
+   * @param {string[]} [opts.ignore] the directories not to watch, relative to `watch`
+   * @param {object} opts.log the logger
+   */
+  constructor(opts) {
+    Object.assign(this, {
+      build: opts.build,
+      bundle: opts.bundle,
+      emulatorOptions: opts.emulator,
+      port: opts.port ?? 3000,
+      watchDir: opts.watch,
+      ignore: opts.ignore ?? DEFAULT_IGNORE,
+      log: opts.log,
+      emulator: null,
+      server: null,
+      watcher: null,
+      rebuildTimer: null,
+      building: null,
+    });
+  }
+
+  /**
+   * Prints a log entry of the action.
+   * @param {object} entry the log entry
+   */
+  printLog(entry) {
+    const { target, level, message } = parseLogEntry(entry);
+    const line = chalk`{grey [${target}]} ${level}: ${message}`;
+    if (level === 'error' || level === 'fatal') {
+      this.log.error(line);
+    } else if (level === 'warn') {
+      this.log.warn(line);
+    } else {
+      this.log.info(line);
+    }
+  }
+
+  /**
+   * Loads the current bundle in a new emulator.
+   */
+  async load() {
+    this.emulator = await new EdgeEmulator({
+      ...this.emulatorOptions,
+      bundle: this.bundle,
+      onLog: (entry) => this.printLog(entry),
+    }).load();
+  }
+
+  /**
+   * Rebuilds and reloads the bundle. Build errors are logged and the previous bundle
+   * keeps serving.
+   */
+  async rebuild() {
+    try {
+      this.bundle = await this.build();
+      await this.load();
+      this.log.info(chalk`{green ok:} reloaded bundle`);
+    } catch (e) {
+      this.log.error(chalk`{red error:} rebuild failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Schedules a rebuild after a file change. Changes during a rebuild trigger another one.
+   * @param {string} filename the changed file, relative to the watched directory
+   */
+  onChange(filename) {
+    if (!filename || this.ignore.some((dir) => filename === dir || filename.startsWith(`${dir}${path.sep}`))) {
+      return;
+    }
+    clearTimeout(this.rebuildTimer);
+    this.rebuildTimer = setTimeout(async () => {
+      await this.building;
+      this.log.info(chalk`--: {yellow ${filename}} changed, rebuilding ...`);
+      this.building = this.rebuild();
+    }, 200);
+  }
+
+  /**
+   * Serves a request with the emulator.
+   * @param {http.IncomingMessage} req the request
+   * @param {http.ServerResponse} res the response
+   */
+  async handle(req, res) {
+    try {
+      const headers = new Headers();
+      Object.entries(req.headers).forEach(([name, value]) => {
+        headers.set(name, Array.isArray(value) ? value.join(', ') : value);
+      });
+      const hasBody = req.method !== 'GET' && req.method !== 'HEAD';
+      const request = new Request(`http://${req.headers.host || 'localhost'}${req.url}`, {
+        method: req.method,
+        headers,
+        body: hasBody ? Readable.toWeb(req) : undefined,
+        duplex: hasBody ? 'half' : undefined,
+      });
+      const response = await this.emulator.fetch(request);
+      const responseHeaders = Object.fromEntries(response.headers);
+      const cookies = response.headers.getSetCookie();
+      if (cookies.length) {
+        responseHeaders['set-cookie'] = cookies;
+      }
+      res.writeHead(response.status, responseHeaders);
+      if (response.body && req.method !== 'HEAD') {
+        await pipeline(Readable.fromWeb(response.body), res);
+      } else {
+        res.end();
+      }
+      this.log.info(chalk`{grey ${req.method} ${req.url}} ${response.status}`);
+      await this.emulator.drain();
+    } catch (e) {
+      this.log.error(chalk`{red error:} ${req.method} ${req.url} - ${e.message}`);
+      if (!res.headersSent) {
+        res.writeHead(500, { 'content-type': 'text/plain' });
+      }
+      res.end();
+    }
+  }
+
+  /**
+   * Loads the bundle, starts the HTTP server and watches for changes.
+   * @returns {Promise<DevServer>} this
+   */
+  async start() {
+    await this.load();
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, resolve);
+    });
+    this.port = this.server.address().port;
+    if (this.watchDir) {
+      this.watcher = fs.watch(this.watchDir, { recursive: true }, (event, filename) => {
+        this.onChange(filename);
+      });
+    }
+    this.log.info(chalk`{green ok:} dev server running on {yellow http://localhost:${this.port}/} (${this.emulatorOptions.platform})`);
+    return this;
+  }
+
+  /**
+   * Stops watching and closes the HTTP server.
+   */
+  async stop() {
+    clearTimeout(this.rebuildTimer);
+    this.watcher?.close();
+    await this.building;
+    if (this.server) {
+      this.server.closeAllConnections();
+      await new Promise((resolve) => {
+        this.server.close(resolve);
+      });
+      this.server = null;
+    }
+  }
+}
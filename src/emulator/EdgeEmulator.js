@@ -0,0 +1,264 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import fs from 'fs/promises';
+import { pathToFileURL } from 'url';
+import util from 'util';
+import vm from 'vm';
+import { MemoryKV } from './memory-kv.js';
+import { createFastlyRuntime } from './fastly-runtime.js';
+import { createCloudflareRuntime } from './cloudflare-runtime.js';
+
+/**
+ * Emulates the Fastly Compute and Cloudflare Workers runtimes, to run an edge bundle created
+ * by the EdgeBundler in a node vm. This allows to test the bundled action offline, including
+ * the universal adapters. The bundle is loaded as vm module, which requires node to run
+ * with `--experimental-vm-modules`.
+ *
+ * ```js
+ * const emulator = new EdgeEmulator({
+ *   bundle: 'dist/default/my-action-edge-bundle.cjs',
+ *   platform: 'cloudflare',
+ *   env: { API_KEY: 'secret' },
+ *   kvStores: { SESSIONS: { visits: '1' } },
+ * });
+ * await emulator.load();
+ * const response = await emulator.fetch(new Request('https://localhost/foo'));
+ * ```
+ */
+export default class EdgeEmulator {
+  /**
+   * @param {object} opts options
+   * @param {string} opts.bundle the path of the edge bundle
+   * @param {string} [opts.platform] either `fastly` or `cloudflare`
+   * @param {object} [opts.env] the action params. the `secrets` dictionary on fastly and
+   *                            the env bindings on cloudflare
+   * @param {object} [opts.packageParams] the package params, available via the `PACKAGE`
+   *                                      KV namespace on cloudflare
+   * @param {object} [opts.kvStores] initial entries of the key-value stores by name
+   * @param {object} [opts.dictionaries] additional fastly dictionaries by name
+   * @param {object} [opts.secretStores] fastly secret stores by name
+   * @param {object} [opts.fastlyEnv] overrides of the `fastly:env` variables
+   * @param {object} [opts.cf] overrides of the `request.cf` properties
+   * @param {function} [opts.fetch] the fetch used for outgoing requests of the action
+   * @param {function} [opts.onLog] called with each entry added to `logs`
+   */
+  constructor(opts) {
+    const {
+      bundle,
+      platform = 'fastly',
+      env = {},
+      packageParams = {},
+      kvStores = {},
+      dictionaries = {},
+      secretStores = {},
+      fastlyEnv = {},
+      cf = {},
+      fetch = globalThis.fetch,
+      onLog = () => {},
+    } = opts;
+    if (!['fastly', 'cloudflare'].includes(platform)) {
+      throw new Error(`Unsupported platform: ${platform}`);
+    }
+    Object.assign(this, {
+      bundle,
+      platform,
+      fetchImpl: fetch,
+      logs: [],
+      pending: [],
+      loaded: false,
+      worker: null,
+      kvStores: Object.fromEntries(Object.entries(kvStores)
+        .map(([name, entries]) => [name, new MemoryKV(entries)])),
+    });
+
+    const log = (entry) => {
+      this.logs.push(entry);
+      onLog(entry);
+    };
+    this.log = log;
+    this.runtime = platform === 'fastly'
+      ? createFastlyRuntime({
+        env, dictionaries, secretStores, fastlyEnv, kvStores: this.kvStores, log,
+      })
+      : createCloudflareRuntime({
+        env, packageParams, kvStores: this.kvStores, cf: { colo: 'EMU', ...cf },
+      });
+  }
+
+  /**
+   * Creates the console of the sandbox, which records the output in `logs`.
+   * @returns {object} the console
+   */
+  createConsole() {
+    const record = (level) => (...args) => this.log({
+      target: 'console',
+      level,
+      message: util.format(...args),
+    });
+    return {
+      log: record('info'),
+      info: record('info'),
+      debug: record('debug'),
+      warn: record('warn'),
+      error: record('error'),
+      trace: record('debug'),
+    };
+  }
+
+  /**
+   * Resolves the imports of the bundle. Only the emulated platform modules can be imported.
+   * @param {string} specifier the module specifier
+   * @param {vm.Context} context the context of the bundle
+   * @returns {Promise<vm.Module>} the evaluated module
+   */
+  async importModule(specifier, context) {
+    const mod = this.runtime.modules?.[specifier];
+    if (!mod) {
+      throw new Error(`Cannot find module '${specifier}'`);
+    }
+    const names = Object.keys(mod);
+    const module = new vm.SyntheticModule(names, function setExports() {
+      names.forEach((name) => this.setExport(name, mod[name]));
+    }, { identifier: specifier, context });
+    await module.link(() => {});
+    await module.evaluate();
+    return module;
+  }
+
+  /**
+   * Loads and evaluates the bundle in a new vm context.
+   * @returns {Promise<EdgeEmulator>} this
+   */
+  async load() {
+    if (!vm.SourceTextModule) {
+      throw new Error('The edge emulator requires node to run with --experimental-vm-modules');
+    }
+    const code = await fs.readFile(this.bundle, 'utf-8');
+    const sandbox = {
+      console: this.createConsole(),
+      fetch: (...args) => this.fetchImpl(...args),
+      Request,
+      Response,
+      Headers,
+      FormData,
+      Blob,
+      URL,
+      URLSearchParams,
+      TextEncoder,
+      TextDecoder,
+      ReadableStream,
+      WritableStream,
+      TransformStream,
+      AbortController,
+      AbortSignal,
+      crypto: globalThis.crypto,
+      performance,
+      atob,
+      btoa,
+      structuredClone,
+      queueMicrotask,
+      setTimeout,
+      clearTimeout,
+      setInterval,
+      clearInterval,
+      require: (id) => {
+        throw new Error(`Cannot find module '${id}'`);
+      },
+      ...this.runtime.globals,
+    };
+    sandbox.self = sandbox;
+    const context = vm.createContext(sandbox);
+    const importModule = (specifier) => this.importModule(specifier, context);
+    const bundle = new vm.SourceTextModule(code, {
+      identifier: pathToFileURL(this.bundle).href,
+      context,
+      importModuleDynamically: importModule,
+    });
+    await bundle.link(importModule);
+    await bundle.evaluate();
+    this.worker = bundle.namespace.default;
+    this.loaded = true;
+    return this;
+  }
+
+  /**
+   * Tracks a promise passed to `waitUntil()`.
+   * @param {Promise} promise the promise
+   */
+  waitUntil(promise) {
+    this.pending.push(Promise.resolve(promise).catch(() => {}));
+  }
+
+  /**
+   * Invokes the bundle with a request.
+   * @param {Request|string} request the request or url
+   * @returns {Promise<Response>} the response
+   */
+  async fetch(request) {
+    if (!this.loaded) {
+      throw new Error('Bundle not loaded. Call load() first.');
+    }
+    const req = typeof request === 'string' ? new Request(request) : request;
+    const waitUntil = (promise) => this.waitUntil(promise);
+    if (this.platform === 'fastly') {
+      return this.runtime.dispatch(req, waitUntil);
+    }
+    return this.runtime.dispatch(this.worker, req, waitUntil);
+  }
+
+  /**
+   * Invokes the scheduled handler of the bundle, like a cron trigger. Only supported on
+   * cloudflare.
+   * @param {string} cron the cron expression
+   * @param {number} [scheduledTime] the scheduled time in ms since epoch
+   * @returns {Promise<void>}
+   */
+  async scheduled(cron, scheduledTime = Date.now()) {
+    if (this.platform !== 'cloudflare') {
+      throw new Error('Scheduled events are only supported on cloudflare');
+    }
+    if (!this.loaded) {
+      throw new Error('Bundle not loaded. Call load() first.');
+    }
+    const waitUntil = (promise) => this.waitUntil(promise);
+    return this.runtime.schedule(this.worker, cron, scheduledTime, waitUntil);
+  }
+
+  /**
+   * Waits until all promises passed to `waitUntil()` are settled.
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    while (this.pending.length) {
+      // eslint-disable-next-line no-await-in-loop
+      await Promise.all(this.pending.splice(0));
+    }
+  }
+
+  /**
+   * The surrogate keys purged with `fastly:compute`, as `{ key, soft }`. On cloudflare,
+   * purges are requests to the Cloudflare API, which go to the `fetch` of the options.
+   * @returns {object[]} the purges
+   */
+  get purges() {
+    return this.runtime.purges ?? [];
+  }
+
+  /**
+   * Returns the key-value store with the given name, to inspect it in tests.
+   * @param {string} name the store name
+   * @returns {MemoryKV} the store
+   */
+  store(name) {
+    return this.kvStores[name];
+  }
+}
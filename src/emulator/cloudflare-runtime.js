@@ -0,0 +1,140 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import crypto from 'crypto';
+import { createCloudflareKVNamespace, MemoryKV } from './memory-kv.js';
+
+/**
+ * Emulated Cloudflare cache, keyed by the request URL. Only GET requests are cached. Entries
+ * expire after the `s-maxage` or `max-age` of their `cache-control` header.
+ */
+class EmulatedCache {
+  constructor() {
+    this.responses = new Map();
+  }
+
+  static key(request) {
+    return typeof request === 'string' ? request : request.url;
+  }
+
+  static expires(response) {
+    const cacheControl = response.headers.get('cache-control') || '';
+    const [, maxAge] = /s-maxage=(\d+)/.exec(cacheControl) || /max-age=(\d+)/.exec(cacheControl) || [];
+    return maxAge ? Date.now() + Number(maxAge) * 1000 : 0;
+  }
+
+  async match(request) {
+    const key = EmulatedCache.key(request);
+    const entry = this.responses.get(key);
+    if (!entry || (entry.expires && entry.expires <= Date.now())) {
+      this.responses.delete(key);
+      return undefined;
+    }
+    return entry.response.clone();
+  }
+
+  async put(request, response) {
+    if (typeof request !== 'string' && request.method && request.method !== 'GET') {
+      throw new TypeError('Cannot cache response to non-GET request.');
+    }
+    this.responses.set(EmulatedCache.key(request), {
+      response: response.clone(),
+      expires: EmulatedCache.expires(response),
+    });
+  }
+
+  async delete(request) {
+    return this.responses.delete(EmulatedCache.key(request));
+  }
+}
+
+/**
+ * Creates the emulated Cloudflare Workers runtime.
+ * @param {object} opts the emulator options
+ * @param {object} opts.env the env bindings (secrets and variables)
+ * @param {object} opts.packageParams the values of the `PACKAGE` KV namespace
+ * @param {object} opts.kvStores the memory stores by name
+ * @param {object} opts.cf the `request.cf` properties
+ * @returns {object} the runtime with `globals`, `env`, `dispatch()` and `schedule()`
+ */
+export function createCloudflareRuntime({
+  env, packageParams, kvStores, cf,
+}) {
+  const namedCaches = {};
+  const caches = {
+    default: new EmulatedCache(),
+    open: async (name) => {
+      if (!namedCaches[name]) {
+        namedCaches[name] = new EmulatedCache();
+      }
+      return namedCaches[name];
+    },
+  };
+
+  const bindings = {
+    ...env,
+    PACKAGE: createCloudflareKVNamespace(new MemoryKV(packageParams)),
+    ...Object.fromEntries(Object.entries(kvStores)
+      .map(([name, kv]) => [name, createCloudflareKVNamespace(kv)])),
+  };
+
+  const createExecutionContext = (waitUntil) => ({
+    waitUntil,
+    passThroughOnException: () => {},
+  });
+
+  return {
+    globals: {
+      caches,
+    },
+    env: bindings,
+
+    /**
+     * Invokes the `fetch` handler of the module worker.
+     * @param {object} worker the default export of the bundle
+     * @param {Request} request the request
+     * @param {function} waitUntil receives the promises passed to `ctx.waitUntil()`
+     * @returns {Promise<Response>} the response
+     */
+    dispatch: async (worker, request, waitUntil) => {
+      if (typeof worker?.fetch !== 'function') {
+        throw new Error('The bundle does not export a module worker with a fetch handler');
+      }
+      const headers = new Headers(request.headers);
+      if (!headers.has('cf-ray')) {
+        headers.set('cf-ray', `${crypto.randomBytes(8).toString('hex')}-${cf.colo}`);
+      }
+      const req = new Request(request, { headers });
+      Object.defineProperty(req, 'cf', { value: { ...cf }, enumerable: true });
+      return worker.fetch(req, bindings, createExecutionContext(waitUntil));
+    },
+
+    /**
+     * Invokes the `scheduled` handler of the module worker.
+     * @param {object} worker the default export of the bundle
+     * @param {string} cron the cron expression
+     * @param {number} scheduledTime the scheduled time in ms since epoch
+     * @param {function} waitUntil receives the promises passed to `ctx.waitUntil()`
+     * @returns {Promise<void>}
+     */
+    schedule: async (worker, cron, scheduledTime, waitUntil) => {
+      if (typeof worker?.scheduled !== 'function') {
+        throw new Error('The bundle does not export a module worker with a scheduled handler');
+      }
+      const controller = {
+        cron,
+        scheduledTime,
+        noRetry: () => {},
+      };
+      await worker.scheduled(controller, bindings, createExecutionContext(waitUntil));
+    },
+  };
+}
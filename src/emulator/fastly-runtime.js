@@ -0,0 +1,256 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable max-classes-per-file -- emulated platform classes */
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import { createFastlyKVStoreClass } from './memory-kv.js';
+
+/**
+ * Default values of the `fastly:env` variables.
+ */
+const DEFAULT_ENV = {
+  FASTLY_CUSTOMER_ID: 'emulated-customer',
+  FASTLY_HOSTNAME: 'localhost',
+  FASTLY_POP: 'EMU',
+  FASTLY_REGION: 'Emulated',
+  FASTLY_SERVICE_ID: 'emulated-service',
+  FASTLY_SERVICE_VERSION: '1',
+};
+
+/**
+ * Emulated `CacheOverride` that records its options.
+ */
+class CacheOverride {
+  constructor(mode, init = {}) {
+    if (typeof mode === 'object') {
+      Object.assign(this, { mode: 'override', ...mode });
+    } else {
+      Object.assign(this, { mode, ...init });
+    }
+  }
+}
+
+/**
+ * Creates the emulated Fastly Compute runtime.
+ * @param {object} opts the emulator options
+ * @param {object} opts.env the values of the `secrets` dictionary
+ * @param {object} opts.dictionaries additional dictionaries by name
+ * @param {object} opts.secretStores secret stores by name
+ * @param {object} opts.fastlyEnv overrides of the `fastly:env` variables
+ * @param {object} opts.kvStores the memory stores by name
+ * @param {function} opts.log the log sink, called with `{ target, message }`
+ * @returns {object} the runtime with `modules`, `globals`, `purges` and
+ *                   `dispatch(request, waitUntil)`
+ */
+export function createFastlyRuntime({
+  env, dictionaries, secretStores, fastlyEnv, kvStores, log,
+}) {
+  // the trace id of the event that is handled, also with concurrent events
+  const traceIds = new AsyncLocalStorage();
+  const listeners = [];
+
+  const allDictionaries = {
+    secrets: env,
+    ...dictionaries,
+  };
+
+  class Dictionary {
+    constructor(name) {
+      if (!allDictionaries[name]) {
+        throw new TypeError(`Dictionary constructor: No Dictionary named '${name}' exists`);
+      }
+      this.values = allDictionaries[name];
+    }
+
+    get(key) {
+      return key in this.values ? String(this.values[key]) : null;
+    }
+  }
+
+  class SecretStore {
+    constructor(name) {
+      if (!secretStores[name]) {
+        throw new TypeError(`SecretStore constructor: No SecretStore named '${name}' exists`);
+      }
+      this.values = secretStores[name];
+    }
+
+    async get(key) {
+      if (!(key in this.values)) {
+        return null;
+      }
+      const value = String(this.values[key]);
+      return { plaintext: () => value };
+    }
+  }
+
+  const backends = new Map();
+  const purges = [];
+  const cacheEntries = new Map();
+
+  /**
+   * Emulated Core Cache, whose entries can be purged by surrogate key. Soft purges are
+   * treated like hard purges.
+   */
+  class CoreCache {
+    static lookup(key) {
+      const entry = cacheEntries.get(key);
+      if (!entry || entry.expires <= Date.now()) {
+        cacheEntries.delete(key);
+        return null;
+      }
+      return {
+        state: () => ({ found: () => true, usable: () => true, stale: () => false }),
+        userMetadata: () => entry.userMetadata,
+        body: () => new Response(entry.body).body,
+        length: () => entry.body.byteLength,
+        maxAge: () => entry.maxAge,
+        age: () => Date.now() - entry.inserted,
+      };
+    }
+
+    static insert(key, {
+      maxAge, surrogateKeys = [], userMetadata = new ArrayBuffer(0),
+    } = {}) {
+      if (typeof maxAge !== 'number') {
+        throw new TypeError('CoreCache.insert: maxAge is required');
+      }
+      const chunks = [];
+      return {
+        append: (data) => {
+          chunks.push(typeof data === 'string' ? Buffer.from(data) : new Uint8Array(data));
+        },
+        close: () => {
+          const inserted = Date.now();
+          cacheEntries.set(key, {
+            body: Buffer.concat(chunks),
+            userMetadata: typeof userMetadata === 'string'
+              ? new TextEncoder().encode(userMetadata).buffer
+              : userMetadata,
+            surrogateKeys,
+            maxAge,
+            inserted,
+            expires: inserted + maxAge,
+          });
+        },
+        abandon: () => {},
+      };
+    }
+  }
+
+  class Backend {
+    constructor(config) {
+      if (!config?.name || !config?.target) {
+        throw new TypeError('Backend constructor: name and target are required');
+      }
+      if (backends.has(config.name)) {
+        throw new TypeError(`Backend constructor: Backend named '${config.name}' already exists`);
+      }
+      Object.assign(this, config);
+      backends.set(config.name, this);
+    }
+
+    static exists(name) {
+      return backends.has(name);
+    }
+
+    static fromName(name) {
+      if (!backends.has(name)) {
+        throw new TypeError(`Backend.fromName: No Backend named '${name}' exists`);
+      }
+      return backends.get(name);
+    }
+
+    toString() {
+      return this.name;
+    }
+  }
+
+  class Logger {
+    constructor(name) {
+      this.name = name;
+    }
+
+    log(message) {
+      log({ target: this.name, message: String(message) });
+    }
+  }
+
+  const modules = {
+    'fastly:env': {
+      env: (name) => {
+        if (name === 'FASTLY_TRACE_ID') {
+          return traceIds.getStore() ?? '';
+        }
+        return fastlyEnv[name] ?? DEFAULT_ENV[name] ?? '';
+      },
+    },
+    'fastly:logger': { Logger },
+    'fastly:dictionary': { Dictionary },
+    'fastly:secret-store': { SecretStore },
+    'fastly:kv-store': { KVStore: createFastlyKVStoreClass(kvStores) },
+    'fastly:cache-override': { CacheOverride },
+    'fastly:backend': { Backend },
+    'fastly:cache': { CoreCache },
+    'fastly:compute': {
+      purgeSurrogateKey: (key, soft = false) => {
+        purges.push({ key, soft });
+        cacheEntries.forEach((entry, cacheKey) => {
+          if (entry.surrogateKeys.includes(key)) {
+            cacheEntries.delete(cacheKey);
+          }
+        });
+      },
+    },
+  };
+
+  return {
+    modules,
+    purges,
+    globals: {
+      CacheOverride,
+      Dictionary,
+      addEventListener: (type, listener) => {
+        if (type === 'fetch') {
+          listeners.push(listener);
+        }
+      },
+    },
+
+    /**
+     * Dispatches a fetch event to the registered listener.
+     * @param {Request} request the request
+     * @param {function} waitUntil receives the promises passed to `event.waitUntil()`
+     * @returns {Promise<Response>} the response
+     */
+    dispatch: async (request, waitUntil) => {
+      if (!listeners.length) {
+        throw new Error('The bundle did not register a fetch event listener');
+      }
+      let response;
+      const event = {
+        request,
+        respondWith: (value) => {
+          response = value;
+        },
+        waitUntil,
+      };
+      traceIds.run(crypto.randomBytes(16).toString('hex'), () => {
+        listeners.forEach((listener) => listener(event));
+      });
+      if (!response) {
+        throw new Error('The fetch event listener did not call respondWith()');
+      }
+      return response;
+    },
+  };
+}
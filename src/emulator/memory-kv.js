@@ -0,0 +1,184 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable max-classes-per-file -- emulated platform classes */
+
+/**
+ * Converts a value written to a key-value store to a string.
+ * @param {*} value the value (string, ArrayBuffer, stream, ...)
+ * @returns {Promise<string>} the value as string
+ */
+async function toText(value) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  return new Response(value).text();
+}
+
+/**
+ * In-memory key-value store that backs the emulated Fastly KV Stores and Cloudflare KV
+ * namespaces.
+ */
+export class MemoryKV {
+  /**
+   * @param {object} [entries] initial entries, as key-value pairs
+   */
+  constructor(entries = {}) {
+    this.entries = new Map();
+    Object.entries(entries).forEach(([key, value]) => this.set(key, String(value)));
+  }
+
+  /**
+   * Returns the entry of the key, unless it does not exist or is expired.
+   * @param {string} key the key
+   * @returns {object|null} the entry with `value` and `metadata`
+   */
+  entry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expires && entry.expires <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Sets the value of the key.
+   * @param {string} key the key
+   * @param {string} value the value
+   * @param {object} [opts] options
+   * @param {number} [opts.ttl] time to live in seconds
+   * @param {*} [opts.metadata] the metadata
+   */
+  set(key, value, { ttl, metadata = null } = {}) {
+    this.entries.set(key, {
+      value,
+      metadata,
+      expires: typeof ttl === 'number' ? Date.now() + ttl * 1000 : 0,
+    });
+  }
+
+  /**
+   * Lists the keys in lexicographic order.
+   * @param {object} [opts] options
+   * @param {string} [opts.prefix] the key prefix
+   * @param {number} [opts.limit] the maximum number of keys
+   * @param {string} [opts.cursor] the cursor returned by the previous call
+   * @returns {object} `{ keys, cursor }`, the cursor is undefined on the last page
+   */
+  list({ prefix = '', limit = 1000, cursor } = {}) {
+    const all = [...this.entries.keys()]
+      .filter((key) => key.startsWith(prefix) && this.entry(key))
+      .sort();
+    const start = cursor ? Number.parseInt(cursor, 10) : 0;
+    const keys = all.slice(start, start + limit);
+    const end = start + keys.length;
+    return {
+      keys,
+      cursor: end < all.length ? String(end) : undefined,
+    };
+  }
+}
+
+/**
+ * Creates an emulated Fastly `KVStore` class backed by the given stores.
+ * @param {object} stores the memory stores by name
+ * @returns {function} the KVStore class
+ */
+export function createFastlyKVStoreClass(stores) {
+  return class KVStore {
+    constructor(name) {
+      if (!stores[name]) {
+        throw new TypeError(`KVStore constructor: No KVStore named '${name}' exists`);
+      }
+      this.kv = stores[name];
+    }
+
+    async get(key) {
+      const entry = this.kv.entry(key);
+      if (!entry) {
+        return null;
+      }
+      return {
+        text: async () => entry.value,
+        json: async () => JSON.parse(entry.value),
+        arrayBuffer: async () => new TextEncoder().encode(entry.value).buffer,
+        metadataText: () => entry.metadata,
+      };
+    }
+
+    async put(key, value, { ttl, metadata } = {}) {
+      this.kv.set(key, await toText(value), { ttl, metadata: metadata ?? null });
+    }
+
+    async delete(key) {
+      this.kv.entries.delete(key);
+    }
+
+    async list({ prefix, limit, cursor } = {}) {
+      const result = this.kv.list({ prefix, limit, cursor });
+      return { list: result.keys, cursor: result.cursor };
+    }
+  };
+}
+
+/**
+ * Creates an emulated Cloudflare KV namespace binding.
+ * @param {MemoryKV} kv the memory store
+ * @returns {object} the KV namespace binding
+ */
+export function createCloudflareKVNamespace(kv) {
+  const read = (value, type) => {
+    if (value === null || !type || type === 'text') {
+      return value;
+    }
+    if (type === 'json') {
+      return JSON.parse(value);
+    }
+    if (type === 'arrayBuffer') {
+      return new TextEncoder().encode(value).buffer;
+    }
+    return new Response(value).body;
+  };
+  const typeOf = (opts) => (typeof opts === 'string' ? opts : opts?.type);
+
+  return {
+    get: async (key, opts) => read(kv.entry(key)?.value ?? null, typeOf(opts)),
+
+    getWithMetadata: async (key, opts) => {
+      const entry = kv.entry(key);
+      return {
+        value: read(entry?.value ?? null, typeOf(opts)),
+        metadata: entry?.metadata ?? null,
+      };
+    },
+
+    put: async (key, value, { expirationTtl, metadata } = {}) => {
+      kv.set(key, await toText(value), { ttl: expirationTtl, metadata: metadata ?? null });
+    },
+
+    delete: async (key) => {
+      kv.entries.delete(key);
+    },
+
+    list: async ({ prefix, limit, cursor } = {}) => {
+      const result = kv.list({ prefix, limit, cursor });
+      return {
+        keys: result.keys.map((name) => ({ name })),
+        list_complete: !result.cursor,
+        cursor: result.cursor,
+      };
+    },
+  };
+}
@@ -14,10 +14,15 @@ import ComputeAtEdgeDeployer from './ComputeAtEdgeDeployer.js';
 import FastlyGateway from './FastlyGateway.js';
 import EdgeBundler from './EdgeBundler.js';
 import CloudflareDeployer from './CloudflareDeployer.js';
+import EdgeDevServer from './EdgeDevServer.js';
+import EdgeEmulator from './emulator/EdgeEmulator.js';
 
 export const plugins = [
   ComputeAtEdgeDeployer,
   FastlyGateway,
   CloudflareDeployer,
   EdgeBundler,
+  EdgeDevServer,
 ];
+
+export { EdgeEmulator };
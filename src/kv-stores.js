@@ -0,0 +1,27 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Adds the `--kv-stores` option. It is shared by the Cloudflare and Compute@Edge deployers
+ * and the development server, since the action opens the same stores on every platform.
+ * @param {object} yargs the yargs instance
+ * @returns {object} the yargs instance
+ */
+export function yargKVStores(yargs) {
+  return yargs
+    .group(['kv-stores'], 'Edge Storage Options')
+    .option('kv-stores', {
+      description: 'the names of the key-value stores to provision and link to the edge function',
+      type: 'array',
+      default: [],
+    });
+}
@@ -0,0 +1,89 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk-template';
+
+/**
+ * Number of modules listed in the size breakdown.
+ */
+const BREAKDOWN_SIZE = 20;
+
+/**
+ * Returns the path of the module sizes file that the EdgeBundler writes next to the bundle.
+ * @param {object} cfg the base config
+ * @returns {string} the path
+ */
+export function getModuleSizesFile(cfg) {
+  return path.resolve(path.dirname(cfg.edgeBundle), `${cfg.name}-module-sizes.json`);
+}
+
+/**
+ * Formats a size in bytes for humans.
+ * @param {number} bytes the size
+ * @returns {string} the formatted size
+ */
+export function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+  }
+  if (bytes >= 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${bytes} B`;
+}
+
+/**
+ * Logs the largest modules of the bundle, as recorded by the EdgeBundler.
+ * @param {object} cfg the base config
+ * @param {object} log the logger
+ */
+async function logModuleSizes(cfg, log) {
+  let modules;
+  try {
+    modules = JSON.parse(await fs.readFile(getModuleSizesFile(cfg), 'utf-8'));
+  } catch {
+    log.warn('--: no module sizes available, rebuild the bundle to get a size breakdown');
+    return;
+  }
+  log.info(chalk`--: largest modules of the bundle (uncompressed):`);
+  modules.slice(0, BREAKDOWN_SIZE).forEach(({ name, size }) => {
+    log.info(chalk`  {yellow ${formatSize(size).padStart(10)}} ${name}`);
+  });
+  if (modules.length > BREAKDOWN_SIZE) {
+    const rest = modules.slice(BREAKDOWN_SIZE).reduce((sum, { size }) => sum + size, 0);
+    log.info(chalk`  {yellow ${formatSize(rest).padStart(10)}} {grey ${modules.length - BREAKDOWN_SIZE} other modules}`);
+  }
+}
+
+/**
+ * Checks the size of a package against the platform limit. If it exceeds the limit, a
+ * breakdown of the module sizes is logged and an error is thrown.
+ * @param {object} opts options
+ * @param {string} opts.label what is checked, eg. `Fastly package`
+ * @param {number} opts.size the size in bytes
+ * @param {number} opts.limit the limit in MB
+ * @param {object} opts.cfg the base config
+ * @param {object} opts.log the logger
+ */
+export async function checkSizeLimit({
+  label, size, limit, cfg, log,
+}) {
+  const max = limit * 1024 * 1024;
+  if (size <= max) {
+    log.debug(`--: ${label} size ${formatSize(size)} is within the limit of ${formatSize(max)}`);
+    return;
+  }
+  log.error(chalk`{red error:} ${label} size {yellow ${formatSize(size)}} exceeds the limit of {yellow ${formatSize(max)}}`);
+  await logModuleSizes(cfg, log);
+  throw new Error(`${label} size ${formatSize(size)} exceeds the limit of ${formatSize(max)}`);
+}
@@ -15,3 +15,130 @@ export function extractPathFromURL(request) {
   const suffixMatches = /^https?:\/\/[^/]+([^?]+)/.exec(request.url);
   return suffixMatches ? suffixMatches[1] : request.url.replace(/\?.*/, '');
 }
+
+/**
+ * Creates the `waitUntil` function of the universal context. It extends the lifetime of the
+ * invocation until the given promise is settled, which allows to continue work after the
+ * response is sent.
+ * @param {object} target the platform object providing `waitUntil` (fetch event or context)
+ * @returns {function(Promise): void} the waitUntil function
+ */
+export function createWaitUntil(target) {
+  return (promise) => {
+    if (typeof target?.waitUntil === 'function') {
+      target.waitUntil(promise);
+    }
+  };
+}
+
+/**
+ * Adds the `Server-Timing` summary of the recorded subrequests to the response, if the
+ * action enabled it with `context.attributes.serverTiming`.
+ * @param {Response} response the response
+ * @param {object} [context] the universal context
+ * @returns {Response} the response
+ */
+export function withServerTiming(response, context) {
+  if (!context?.attributes?.serverTiming) {
+    return response;
+  }
+  const timing = context.subrequests?.serverTiming();
+  if (!timing || !response) {
+    return response;
+  }
+  const res = new Response(response.body, response);
+  res.headers.append('server-timing', timing);
+  return res;
+}
+
+/**
+ * Removes characters that are not allowed in header values and limits the length.
+ * @param {string} value the header value
+ * @returns {string} the cleaned value
+ */
+function cleanupHeaderValue(value) {
+  return String(value)
+    .replace(/[^\t\u0020-\u007e\u0080-\u00ff]/g, ' ')
+    .substring(0, 1024);
+}
+
+/**
+ * Escapes a value for use in HTML.
+ * @param {string} value the value
+ * @returns {string} the escaped value
+ */
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Creates the response for an error thrown by the action. The error and its stack are
+ * logged, the client only receives a generic message with the request id, as JSON or
+ * HTML depending on the `Accept` header. The error message is exposed in the `x-error`
+ * header. If the action exports a `renderError(error, request, context)` function, its
+ * response is used instead. Thrown values that are not errors, eg. `throw undefined`, are
+ * converted to errors first.
+ * @param {*} error the thrown value
+ * @param {Request} request the request
+ * @param {object} opts options
+ * @param {object} [opts.context] the universal context, if it was created
+ * @param {string} [opts.requestId] the platform request id
+ * @param {function} [opts.renderError] the custom error renderer of the action
+ * @returns {Promise<Response>} the error response
+ */
+export async function createErrorResponse(error, request, {
+  context,
+  requestId = null,
+  renderError,
+} = {}) {
+  const err = error instanceof Error ? error : new Error(String(error));
+  // eslint-disable-next-line no-console
+  const log = context?.log ?? { error: (data) => console.error(JSON.stringify(data)) };
+  log.error({
+    message: `Unhandled error: ${err.message}`,
+    error: err.name,
+    stack: err.stack,
+    requestId,
+  });
+
+  if (typeof renderError === 'function') {
+    try {
+      const response = await renderError(err, request, context);
+      if (response) {
+        return response;
+      }
+    } catch (e) {
+      log.error({
+        message: `Error renderer failed: ${e.message}`,
+        stack: e.stack,
+        requestId,
+      });
+    }
+  }
+
+  const status = 500;
+  const headers = {
+    'x-error': cleanupHeaderValue(err.message),
+    'cache-control': 'no-store, private',
+  };
+  const accept = request?.headers?.get?.('accept') || '';
+  if (/\btext\/html\b/.test(accept)) {
+    const id = requestId ? `<p>Request ID: <code>${escapeHTML(requestId)}</code></p>` : '';
+    return new Response(`<!DOCTYPE html><html><head><title>Internal Server Error</title></head><body><h1>Internal Server Error</h1>${id}</body></html>`, {
+      status,
+      headers: { ...headers, 'content-type': 'text/html; charset=utf-8' },
+    });
+  }
+  return new Response(JSON.stringify({
+    status,
+    error: 'Internal Server Error',
+    requestId,
+  }), {
+    status,
+    headers: { ...headers, 'content-type': 'application/json' },
+  });
+}
@@ -10,67 +10,161 @@
  * governing permissions and limitations under the License.
  */
 /* eslint-env serviceworker */
-import { extractPathFromURL } from './adapter-utils.js';
+import {
+  extractPathFromURL, createWaitUntil, createErrorResponse, withServerTiming,
+} from './adapter-utils.js';
 import { createCloudflareLogger } from './context-logger.js';
+import { createCloudflareStorage } from './storage.js';
+import { createCloudflarePurge } from './purge.js';
+import { createInvocationRecorder, recordSubrequests } from './polyfills/subrequests.js';
+import buildInfo from './build-info.js';
 
-export async function handleRequest(event) {
+/**
+ * Maximum wall time of a scheduled invocation, see
+ * https://developers.cloudflare.com/workers/platform/limits/#duration
+ */
+const SCHEDULED_DURATION_LIMIT = 15 * 60 * 1000;
+
+/**
+ * Default CPU time limit of a request, see
+ * https://developers.cloudflare.com/workers/platform/limits/#cpu-time
+ */
+const REQUEST_CPU_LIMIT = 30 * 1000;
+
+/**
+ * Creates the universal context of an invocation.
+ * @param {object} env the worker's env bindings
+ * @param {object} ctx the worker's execution context
+ * @param {object} opts options
+ * @param {string} opts.suffix the path info suffix
+ * @param {string} opts.region the cloudflare colo
+ * @param {object} [opts.invocation] additional invocation properties
+ * @returns {object} the context
+ */
+function createContext(env, ctx, { suffix, region, invocation = {} }) {
+  const context = {
+    resolver: null,
+    pathInfo: {
+      suffix,
+    },
+    runtime: {
+      name: 'cloudflare-workers',
+      region,
+    },
+    func: {
+      name: buildInfo.name,
+      package: buildInfo.package,
+      version: buildInfo.version,
+      // the worker script name
+      fqn: buildInfo.fullName,
+      app: buildInfo.package,
+      build: {
+        version: buildInfo.version,
+        gitRef: buildInfo.gitRef,
+        updatedAt: buildInfo.updatedAt,
+      },
+    },
+    invocation: {
+      id: null,
+      deadline: null,
+      transactionId: null,
+      requestId: null,
+      executionContext: ctx,
+      ...invocation,
+    },
+    env: new Proxy(env, {
+      get: (target, prop) => target[prop] || target.PACKAGE.get(prop),
+    }),
+    storage: createCloudflareStorage(env),
+    purgeSurrogateKey: createCloudflarePurge(env),
+    attributes: {},
+    waitUntil: createWaitUntil(ctx),
+  };
+
+  // Initialize logger after context is created
+  // Logger dynamically checks context.attributes.loggers on each call
+  context.log = createCloudflareLogger(context);
+  context.subrequests = createInvocationRecorder(context);
+  return context;
+}
+
+/**
+ * Handles a request of a cloudflare module worker.
+ * @param {Request} request the incoming request
+ * @param {object} [env] the worker's env bindings (secrets, variables, kv namespaces)
+ * @param {object} [ctx] the worker's execution context
+ * @returns {Promise<Response>} the response
+ */
+export async function handleRequest(request, env = {}, ctx = {}) {
+  const requestId = request.headers?.get('cf-ray') ?? null;
+  let action = {};
+  let context;
   try {
-    const { request } = event;
     // eslint-disable-next-line import/no-unresolved,global-require
-    const { main } = require('./main.js');
-    const context = {
-      resolver: null,
-      pathInfo: {
-        suffix: extractPathFromURL(request),
-      },
-      runtime: {
-        name: 'cloudflare-workers',
-        region: request.cf.colo,
-      },
-      func: {
-        name: null,
-        package: null,
-        version: null,
-        fqn: null,
-        app: null,
-      },
+    action = require('./main.js');
+    context = createContext(env, ctx, {
+      suffix: extractPathFromURL(request),
+      region: request.cf.colo,
       invocation: {
-        id: null,
-        deadline: null,
-        transactionId: null,
-        requestId: null,
+        id: requestId,
+        requestId,
+        deadline: Date.now() + REQUEST_CPU_LIMIT,
       },
-      // eslint-disable-next-line no-undef
-      env: new Proxy(globalThis, {
-        get: (target, prop) => target[prop] || target.PACKAGE.get(prop),
-      }),
-      storage: null,
-      attributes: {},
-    };
-
-    // Initialize logger after context is created
-    // Logger dynamically checks context.attributes.loggers on each call
-    context.log = createCloudflareLogger(context);
-
-    return await main(request, context);
+    });
+    const response = await recordSubrequests(
+      context.subrequests,
+      () => action.main(request, context),
+    );
+    return withServerTiming(response, context);
   } catch (e) {
-    console.log(e.message);
-    return new Response(`Error: ${e.message}`, { status: 500 });
+    return createErrorResponse(e, request, {
+      context,
+      requestId,
+      renderError: action.renderError,
+    });
   }
 }
 
 /**
- * Detects if the code is running in a cloudflare environment.
- * @returns {null|(function(*): Promise<*|Response|undefined>)|*}
+ * Handles a scheduled event (cron trigger) of a cloudflare module worker. The event is
+ * passed to the `scheduled` export of the action, if there is one. Errors of the handler
+ * are logged with `context.log` and rethrown, so that cloudflare records the run as failed.
+ * @param {object} controller the scheduled controller with `cron` and `scheduledTime`
+ * @param {object} [env] the worker's env bindings (secrets, variables, kv namespaces)
+ * @param {object} [ctx] the worker's execution context
+ * @returns {Promise<void>}
  */
-export default function cloudflare() {
+export async function handleScheduled(controller, env = {}, ctx = {}) {
+  // eslint-disable-next-line import/no-unresolved,global-require
+  const { scheduled } = require('./main.js');
+  const context = createContext(env, ctx, {
+    suffix: '',
+    region: null,
+    invocation: {
+      deadline: controller.scheduledTime + SCHEDULED_DURATION_LIMIT,
+      scheduled: {
+        cron: controller.cron,
+        scheduledTime: controller.scheduledTime,
+      },
+    },
+  });
+  if (typeof scheduled !== 'function') {
+    context.log.info({
+      message: 'No scheduled handler exported, ignoring cron trigger',
+      cron: controller.cron,
+    });
+    return;
+  }
   try {
-    if (caches.default) {
-      console.log('detected cloudflare environment');
-      return handleRequest;
-    }
-  } catch {
-    // ignore
+    await recordSubrequests(context.subrequests, () => scheduled(controller, context));
+  } catch (e) {
+    const err = e instanceof Error ? e : new Error(String(e));
+    context.log.error({
+      message: `Scheduled handler failed: ${err.message}`,
+      error: err.name,
+      stack: err.stack,
+      cron: controller.cron,
+    });
+    throw e;
   }
-  return null;
 }
@@ -48,14 +48,47 @@ export function enrichLogData(data, level, context) {
   };
 }
 
+/**
+ * Coralogix severities of the log levels.
+ */
+const CORALOGIX_SEVERITIES = {
+  silly: 1,
+  debug: 1,
+  verbose: 2,
+  info: 3,
+  warn: 4,
+  error: 5,
+  fatal: 6,
+};
+
+/**
+ * Wraps a log entry in the format of the Coralogix `/logs/rest/singles` API, which needs the
+ * application and subsystem names.
+ * @param {object} data - The enriched log data
+ * @param {object} coralogix - The Coralogix settings with `applicationName`
+ * @returns {object} The Coralogix log entry
+ */
+export function toCoralogixEntry(data, { applicationName }) {
+  return {
+    applicationName,
+    subsystemName: data.functionName || 'edge',
+    timestamp: Date.parse(data.timestamp),
+    severity: CORALOGIX_SEVERITIES[data.level] ?? CORALOGIX_SEVERITIES.info,
+    text: JSON.stringify(data),
+  };
+}
+
 /**
  * Creates a logger instance for Fastly using fastly:logger module.
  * Uses async import and handles initialization.
  * Dynamically checks context.attributes.loggers on each call.
  * @param {object} context - The context object
+ * @param {object} [opts] - Options
+ * @param {object} [opts.coralogix] - The Coralogix endpoint, with the `logger` name and the
+ *                                    `applicationName`. Its entries use the Coralogix format
  * @returns {object} Logger instance with level methods
  */
-export function createFastlyLogger(context) {
+export function createFastlyLogger(context, { coralogix } = {}) {
   const loggers = {};
   let loggersReady = false;
   let loggerPromise = null;
@@ -95,11 +128,37 @@ export function createFastlyLogger(context) {
           return;
         }
       }
-      instances.push(loggers[name]);
+      instances.push({ name, logger: loggers[name] });
     });
     return instances;
   };
 
+  /**
+   * Writes a log entry to the configured loggers, or to the console if there are none.
+   * @param {string[]} loggerNames - Array of logger endpoint names
+   * @param {object} data - The enriched log data
+   */
+  const write = (loggerNames, data) => {
+    const logEntry = JSON.stringify(data);
+    const currentLoggers = getLoggers(loggerNames);
+    if (currentLoggers.length === 0) {
+      // Fallback to console if no loggers configured
+      // eslint-disable-next-line no-console
+      console.log(logEntry);
+      return;
+    }
+    currentLoggers.forEach(({ name, logger }) => {
+      try {
+        logger.log(name === coralogix?.logger
+          ? JSON.stringify(toCoralogixEntry(data, coralogix))
+          : logEntry);
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error(`Failed to log to Fastly logger: ${err.message}`);
+      }
+    });
+  };
+
   /**
    * Sends a log entry to all configured Fastly loggers.
    * Dynamically checks context.attributes.loggers on each call.
@@ -109,46 +168,16 @@ export function createFastlyLogger(context) {
   const log = (level, data) => {
     const normalizedData = normalizeLogData(data);
     const enrichedData = enrichLogData(normalizedData, level, context);
-    const logEntry = JSON.stringify(enrichedData);
 
     // Get current logger configuration from context
     const loggerNames = context.attributes?.loggers;
 
-    // If loggers are still initializing, wait for them
+    // If loggers are still initializing, wait for them and keep the invocation alive until then
     if (loggerPromise) {
-      loggerPromise.then(() => {
-        const currentLoggers = getLoggers(loggerNames);
-        if (currentLoggers.length > 0) {
-          currentLoggers.forEach((logger) => {
-            try {
-              logger.log(logEntry);
-            } catch (err) {
-              // eslint-disable-next-line no-console
-              console.error(`Failed to log to Fastly logger: ${err.message}`);
-            }
-          });
-        } else {
-          // Fallback to console if no loggers configured
-          // eslint-disable-next-line no-console
-          console.log(logEntry);
-        }
-      });
+      const pending = loggerPromise.then(() => write(loggerNames, enrichedData));
+      context.waitUntil?.(pending);
     } else if (loggersReady) {
-      const currentLoggers = getLoggers(loggerNames);
-      if (currentLoggers.length > 0) {
-        currentLoggers.forEach((logger) => {
-          try {
-            logger.log(logEntry);
-          } catch (err) {
-            // eslint-disable-next-line no-console
-            console.error(`Failed to log to Fastly logger: ${err.message}`);
-          }
-        });
-      } else {
-        // Fallback to console if no loggers configured
-        // eslint-disable-next-line no-console
-        console.log(logEntry);
-      }
+      write(loggerNames, enrichedData);
     }
   };
 
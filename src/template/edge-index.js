@@ -12,12 +12,26 @@
 /* eslint-env serviceworker */
 
 import fastly from './fastly-adapter.js';
-import cloudflare from './cloudflare-adapter.js';
+import {
+  handleRequest as handleCloudflareRequest,
+  handleScheduled as handleCloudflareScheduled,
+} from './cloudflare-adapter.js';
 
-// eslint-disable-next-line no-restricted-globals
-addEventListener('fetch', (event) => {
-  const handler = cloudflare() || fastly();
-  if (typeof handler === 'function') {
-    event.respondWith(handler(event));
-  }
-});
+// fastly compute dispatches requests as service worker fetch events. the listener is only
+// registered on fastly, since module workers on cloudflare must not use `addEventListener`.
+const fastlyHandler = fastly();
+if (typeof fastlyHandler === 'function') {
+  // eslint-disable-next-line no-restricted-globals
+  addEventListener('fetch', (event) => {
+    event.respondWith(fastlyHandler(event));
+  });
+}
+
+/**
+ * Cloudflare module worker entry point. The env bindings and the execution context
+ * are passed along to the adapter. Cron triggers are dispatched to `scheduled`.
+ */
+export default {
+  fetch: (request, env, ctx) => handleCloudflareRequest(request, env, ctx),
+  scheduled: (controller, env, ctx) => handleCloudflareScheduled(controller, env, ctx),
+};
@@ -11,8 +11,14 @@
  */
 /* eslint-env serviceworker */
 /* global Dictionary, CacheOverride */
-import { extractPathFromURL } from './adapter-utils.js';
+import {
+  extractPathFromURL, createWaitUntil, createErrorResponse, withServerTiming,
+} from './adapter-utils.js';
 import { createFastlyLogger } from './context-logger.js';
+import { createFastlyStorage } from './storage.js';
+import { createFastlyPurge } from './purge.js';
+import { createInvocationRecorder, recordSubrequests } from './polyfills/subrequests.js';
+import buildInfo from './build-info.js';
 
 export function getEnvInfo(req, env) {
   const serviceVersion = env('FASTLY_SERVICE_VERSION');
@@ -34,6 +40,73 @@ export function getEnvInfo(req, env) {
   };
 }
 
+/**
+ * Default wall time limit of a request, see
+ * https://www.fastly.com/documentation/guides/compute/#limitations-and-constraints
+ */
+const REQUEST_DURATION_LIMIT = 2 * 60 * 1000;
+
+/**
+ * Requests with this header get the service version in the `x-edge-service-version`
+ * response header. The deployer uses it to verify the rollout of a new version.
+ */
+const ROLLOUT_PROBE_HEADER = 'x-edge-rollout-probe';
+
+/**
+ * Adds the service version to the response of a rollout probe.
+ * @param {Request} request the request
+ * @param {Response} response the response
+ * @param {string} version the service version
+ * @returns {Response} the response
+ */
+function withServiceVersion(request, response, version) {
+  if (!version || !request.headers.get(ROLLOUT_PROBE_HEADER)) {
+    return response;
+  }
+  const res = new Response(response.body, response);
+  res.headers.set('x-edge-service-version', version);
+  return res;
+}
+
+/**
+ * Name of the resource link of the secret store that holds the action params.
+ */
+const SECRET_STORE_LINK = 'secret-store';
+
+/**
+ * Opens the secret store, if it is linked to the service.
+ * @returns {Promise<object|null>} the secret store or null
+ */
+async function openSecretStore() {
+  try {
+    /* eslint-disable-next-line import/no-unresolved */
+    const { SecretStore } = await import('fastly:secret-store');
+    return new SecretStore(SECRET_STORE_LINK);
+  } catch {
+    // no secret store linked, the params are read from the secrets dictionary
+    return null;
+  }
+}
+
+/**
+ * Entry of the secrets dictionary with the Coralogix logging endpoint, written by the deployer.
+ */
+const CORALOGIX_ENTRY = '_coralogix';
+
+/**
+ * Returns the Coralogix logging endpoint, if the deployer configured one.
+ * @param {object} secrets the secrets dictionary
+ * @returns {object|undefined} the `logger` name and the `applicationName`
+ */
+function getCoralogixSettings(secrets) {
+  try {
+    const value = secrets.get(CORALOGIX_ENTRY);
+    return value ? JSON.parse(value) : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
 async function getEnvironmentInfo(req) {
   // The fastly:env import will be available in the fastly c@e environment
   /* eslint-disable-next-line import/no-unresolved */
@@ -42,15 +115,23 @@ async function getEnvironmentInfo(req) {
 }
 
 export async function handleRequest(event) {
+  const { request } = event;
+  let action = {};
+  let context;
+  let requestId = null;
+  let serviceVersion = null;
   try {
-    const { request } = event;
     const env = await getEnvironmentInfo(request);
+    requestId = env.requestId;
+    serviceVersion = env.serviceVersion;
+    const secretStore = await openSecretStore();
 
     console.log('Fastly Adapter is here');
     let packageParams;
     // eslint-disable-next-line import/no-unresolved,global-require
-    const { main } = require('./main.js');
-    const context = {
+    action = require('./main.js');
+    const secrets = new Dictionary('secrets');
+    context = {
       resolver: null,
       pathInfo: {
         suffix: extractPathFromURL(request),
@@ -60,66 +141,92 @@ export async function handleRequest(event) {
         region: env.region,
       },
       func: {
-        name: env.functionName,
-        package: null,
+        name: buildInfo.name ?? env.functionName,
+        package: buildInfo.package,
         version: env.serviceVersion,
         fqn: env.functionFQN,
-        app: null,
+        // the package name, like on cloudflare. the service id is part of `fqn`
+        app: buildInfo.package,
+        build: {
+          version: buildInfo.version,
+          gitRef: buildInfo.gitRef,
+          updatedAt: buildInfo.updatedAt,
+        },
       },
       invocation: {
-        id: null,
-        deadline: null,
+        id: env.requestId,
+        deadline: Date.now() + REQUEST_DURATION_LIMIT,
         transactionId: env.txId,
         requestId: env.requestId,
       },
-      env: new Proxy(new Dictionary('secrets'), {
+      env: new Proxy(secrets, {
         get: (target, prop) => {
-          try {
-            return target.get(prop);
-          } catch {
-            if (packageParams) {
-              console.log('Using cached params');
-              return packageParams[prop];
-            }
-            const url = target.get('_package');
-            const token = target.get('_token');
-            // console.log(`Getting secrets from ${url} with ${token}`);
-            return fetch(url, {
-              backend: 'gateway',
-              headers: {
-                authorization: `Bearer ${token}`,
-              },
-            }).then((response) => {
-              if (response.ok) {
-                // console.log('response is ok...');
-                return response.text().then((json) => {
-                  // console.log('json received: ' + json);
-                  packageParams = JSON.parse(json);
-                  return packageParams[prop];
-                }).catch((error) => {
-                  console.error(`Unable to parse JSON: ${error.message}`);
-                });
+          const fromDictionary = () => {
+            try {
+              return target.get(prop);
+            } catch {
+              if (packageParams) {
+                console.log('Using cached params');
+                return packageParams[prop];
               }
-              console.error(`HTTP status is not ok: ${response.status}`);
-              return undefined;
-            }).catch((err) => {
-              console.error(`Unable to fetch parames: ${err.message}`);
-            });
+              const url = target.get('_package');
+              const token = target.get('_token');
+              // console.log(`Getting secrets from ${url} with ${token}`);
+              const pending = fetch(url, {
+                backend: 'gateway',
+                headers: {
+                  authorization: `Bearer ${token}`,
+                },
+              }).then((response) => {
+                if (response.ok) {
+                  // console.log('response is ok...');
+                  return response.text().then((json) => {
+                    // console.log('json received: ' + json);
+                    packageParams = JSON.parse(json);
+                    return packageParams[prop];
+                  }).catch((error) => {
+                    console.error(`Unable to parse JSON: ${error.message}`);
+                  });
+                }
+                console.error(`HTTP status is not ok: ${response.status}`);
+                return undefined;
+              }).catch((err) => {
+                console.error(`Unable to fetch parames: ${err.message}`);
+              });
+              context.waitUntil(pending);
+              return pending;
+            }
+          };
+          if (secretStore && typeof prop === 'string') {
+            return secretStore.get(prop)
+              .then((entry) => (entry ? entry.plaintext() : fromDictionary()));
           }
+          return fromDictionary();
         },
       }),
-      storage: null,
+      storage: createFastlyStorage(),
+      purgeSurrogateKey: createFastlyPurge(),
       attributes: {},
+      waitUntil: createWaitUntil(event),
     };
 
     // Initialize logger after context is created
     // Logger dynamically checks context.attributes.loggers on each call
-    context.log = createFastlyLogger(context);
+    context.log = createFastlyLogger(context, { coralogix: getCoralogixSettings(secrets) });
+    context.subrequests = createInvocationRecorder(context);
 
-    return await main(request, context);
+    const response = withServerTiming(await recordSubrequests(
+      context.subrequests,
+      () => action.main(request, context),
+    ), context);
+    return withServiceVersion(request, response, serviceVersion);
   } catch (e) {
-    console.log(e.message);
-    return new Response(`Error: ${e.message}`, { status: 500 });
+    const response = await createErrorResponse(e, request, {
+      context,
+      requestId,
+      renderError: action.renderError,
+    });
+    return withServiceVersion(request, response, serviceVersion);
   }
 }
 
@@ -0,0 +1,180 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-env serviceworker */
+
+/**
+ * Base URL of the cache keys on Cloudflare, whose Cache API is keyed by request URL.
+ */
+const CLOUDFLARE_KEY_BASE = 'https://edge-cache.internal/';
+
+/**
+ * Converts the surrogate keys to an array.
+ * @param {string|string[]} [keys] - A space separated list or an array of keys
+ * @returns {string[]} The keys
+ */
+function toSurrogateKeys(keys = []) {
+  return (Array.isArray(keys) ? keys : keys.split(/\s+/)).filter((key) => key);
+}
+
+/**
+ * Creates the response that is stored in the cache. Its `cache-control` header carries the
+ * TTL, and its `cache-tag` header the surrogate keys, which makes the entry purgeable by tag
+ * on Cloudflare.
+ * @param {string|ArrayBuffer|Uint8Array|Response} value - The value to cache
+ * @param {object} opts - The options of `put()`
+ * @returns {Response} The response to store
+ */
+function toCacheResponse(value, { ttl, surrogateKeys }) {
+  if (typeof ttl !== 'number' || ttl <= 0) {
+    throw new Error('cache.put() needs a ttl in seconds');
+  }
+  const response = value instanceof Response ? value : new Response(value);
+  const headers = new Headers(response.headers);
+  headers.set('cache-control', `max-age=${ttl}`);
+  const keys = toSurrogateKeys(surrogateKeys);
+  if (keys.length) {
+    headers.set('cache-tag', keys.join(','));
+  }
+  return new Response(response.body, { status: response.status, headers });
+}
+
+/**
+ * Creates a cache backed by a Cloudflare Cache API cache, usually `caches.default`.
+ * Deleting an entry only affects the data center of the invocation.
+ * @param {object} cache - The Cache API cache
+ * @returns {object} Cache with match, put and delete methods
+ */
+export function createCloudflareCache(cache) {
+  const toRequest = (key) => new Request(`${CLOUDFLARE_KEY_BASE}${encodeURIComponent(key)}`);
+
+  return {
+    match: async (key) => (await cache.match(toRequest(key))) ?? null,
+
+    put: async (key, value, opts = {}) => cache.put(toRequest(key), toCacheResponse(value, opts)),
+
+    delete: async (key) => {
+      await cache.delete(toRequest(key));
+    },
+  };
+}
+
+/**
+ * Returns the surrogate key that identifies a single entry on Fastly, so that it can be
+ * purged by key.
+ * @param {string} key - The cache key
+ * @returns {Promise<string>} The surrogate key
+ */
+async function toKeySurrogate(key) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+  const hex = [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+  return `cache-key-${hex}`;
+}
+
+/**
+ * Creates a cache backed by the Fastly Core Cache API. The status and headers of the cached
+ * responses are stored as user metadata. The fastly:cache and fastly:compute modules are
+ * imported lazily, on first use. Deleting an entry purges it in all POPs.
+ * @returns {object} Cache with match, put and delete methods
+ */
+export function createFastlyCache() {
+  return {
+    match: async (key) => {
+      // eslint-disable-next-line import/no-unresolved
+      const { CoreCache } = await import('fastly:cache');
+      const entry = CoreCache.lookup(key);
+      if (!entry) {
+        return null;
+      }
+      const { status, headers } = JSON.parse(new TextDecoder().decode(entry.userMetadata()));
+      return new Response(entry.body(), { status, headers });
+    },
+
+    put: async (key, value, opts = {}) => {
+      const response = toCacheResponse(value, opts);
+      // eslint-disable-next-line import/no-unresolved
+      const { CoreCache } = await import('fastly:cache');
+      const body = new Uint8Array(await response.arrayBuffer());
+      const writer = CoreCache.insert(key, {
+        maxAge: opts.ttl * 1000,
+        surrogateKeys: [...toSurrogateKeys(opts.surrogateKeys), await toKeySurrogate(key)],
+        userMetadata: JSON.stringify({
+          status: response.status,
+          headers: [...response.headers],
+        }),
+        length: body.byteLength,
+      });
+      writer.append(body);
+      writer.close();
+    },
+
+    delete: async (key) => {
+      // eslint-disable-next-line import/no-unresolved
+      const { purgeSurrogateKey } = await import('fastly:compute');
+      purgeSurrogateKey(await toKeySurrogate(key));
+    },
+  };
+}
+
+let platformCache = null;
+
+/**
+ * Returns the cache of the current platform, which is Cloudflare if `caches.default`
+ * exists, and Fastly otherwise.
+ * @returns {object} The cache
+ */
+function getCache() {
+  if (!platformCache) {
+    platformCache = typeof caches !== 'undefined' && caches.default
+      ? createCloudflareCache(caches.default)
+      : createFastlyCache();
+  }
+  return platformCache;
+}
+
+/**
+ * Returns the cached response for the key.
+ * @param {string} key - The cache key
+ * @returns {Promise<Response|null>} The response or null if the key is not cached
+ */
+export function match(key) {
+  return getCache().match(key);
+}
+
+/**
+ * Caches a value under the key.
+ * @param {string} key - The cache key
+ * @param {string|ArrayBuffer|Uint8Array|Response} value - The value to cache
+ * @param {object} opts - Options
+ * @param {number} opts.ttl - Time-to-live in seconds
+ * @param {string|string[]} [opts.surrogateKeys] - Surrogate keys for cache purging
+ * @returns {Promise<void>}
+ */
+export function put(key, value, opts) {
+  return getCache().put(key, value, opts);
+}
+
+/**
+ * Removes the key from the cache.
+ * @param {string} key - The cache key
+ * @returns {Promise<void>}
+ */
+function remove(key) {
+  return getCache().delete(key);
+}
+
+export { remove as delete };
+
+export default {
+  match,
+  put,
+  delete: remove,
+};
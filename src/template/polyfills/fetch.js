@@ -10,6 +10,9 @@
  * governing permissions and limitations under the License.
  */
 /* eslint-env serviceworker */
+/* eslint-disable max-classes-per-file -- the error classes of @adobe/fetch */
+import cache from './cache.js';
+import { getActiveRecorder } from './subrequests.js';
 
 // Platform detection and native CacheOverride loading
 let nativeCacheOverride = null;
@@ -41,6 +44,32 @@ try {
   fastlyModulePromise = null;
 }
 
+// Dynamic backends, see enableDynamicBackends()
+let dynamicBackends = null;
+let backendModulePromise = null;
+const backendCache = new Map();
+
+/**
+ * Default settings of dynamically created backends, in line with the static backends
+ * created by the deployer.
+ */
+const DYNAMIC_BACKEND_DEFAULTS = {
+  connectTimeout: 5000,
+  firstByteTimeout: 60000,
+  betweenBytesTimeout: 10000,
+};
+
+// Try to import Fastly's Backend module, only needed for dynamic backends
+async function loadBackendModule() {
+  try {
+    const moduleName = 'fastly:backend';
+    // eslint-disable-next-line import/no-unresolved
+    return await import(/* webpackIgnore: true */ moduleName);
+  } catch {
+    return null;
+  }
+}
+
 // Detect Cloudflare environment
 try {
   if (typeof caches !== 'undefined' && caches.default) {
@@ -50,6 +79,21 @@ try {
   // Not Cloudflare
 }
 
+/**
+ * Returns the TTL for the response status from a `cacheTtlByStatus` map, whose keys are
+ * status codes (`"404"`) or ranges (`"200-299"`).
+ * @param {object} ttlByStatus the TTLs by status
+ * @param {number} status the response status
+ * @returns {number|undefined} the TTL or undefined if no entry matches
+ */
+export function ttlForStatus(ttlByStatus, status) {
+  const match = Object.entries(ttlByStatus).find(([range]) => {
+    const [from, to = from] = range.split('-').map((s) => Number.parseInt(s, 10));
+    return status >= from && status <= to;
+  });
+  return match?.[1];
+}
+
 /**
  * Unified CacheOverride class that works across Fastly and Cloudflare platforms
  */
@@ -61,6 +105,14 @@ class UnifiedCacheOverride {
    * @param {number} [init.ttl] - Time-to-live in seconds
    * @param {string} [init.cacheKey] - Custom cache key
    * @param {string} [init.surrogateKey] - Surrogate keys for cache purging
+   * @param {number} [init.swr] - Stale-while-revalidate time in seconds
+   * @param {number} [init.staleIfError] - Stale-if-error time in seconds, only passed on
+   *                                        to downstream caches in `Cache-Control`
+   * @param {boolean} [init.pci] - Cache in PCI compliant, non-persistent storage only
+   * @param {function} [init.beforeSend] - Called with the request before it is sent
+   * @param {function} [init.afterSend] - Called with the response before it is cached
+   * @param {object} [init.cacheTtlByStatus] - TTLs by response status (range)
+   * @param {boolean} [init.cacheEverything] - Cache all content types, not just static ones
    */
   constructor(modeOrInit, init) {
     let mode;
@@ -76,7 +128,10 @@ class UnifiedCacheOverride {
     }
 
     // Validate that only supported cross-platform options are used
-    const supportedOptions = ['ttl', 'cacheKey', 'surrogateKey'];
+    const supportedOptions = [
+      'ttl', 'cacheKey', 'surrogateKey', 'swr', 'staleIfError', 'pci',
+      'beforeSend', 'afterSend', 'cacheTtlByStatus', 'cacheEverything',
+    ];
     const unsupported = Object.keys(options)
       .filter((key) => !supportedOptions.includes(key));
     if (unsupported.length > 0) {
@@ -91,6 +146,13 @@ class UnifiedCacheOverride {
       ...(typeof options.ttl === 'number' && { ttl: options.ttl }),
       ...(options.cacheKey && { cacheKey: options.cacheKey }),
       ...(options.surrogateKey && { surrogateKey: options.surrogateKey }),
+      ...(typeof options.swr === 'number' && { swr: options.swr }),
+      ...(typeof options.staleIfError === 'number' && { staleIfError: options.staleIfError }),
+      ...(typeof options.pci === 'boolean' && { pci: options.pci }),
+      ...(typeof options.beforeSend === 'function' && { beforeSend: options.beforeSend }),
+      ...(typeof options.afterSend === 'function' && { afterSend: options.afterSend }),
+      ...(options.cacheTtlByStatus && { cacheTtlByStatus: options.cacheTtlByStatus }),
+      ...(typeof options.cacheEverything === 'boolean' && { cacheEverything: options.cacheEverything }),
     };
 
     this.modeOrInit = modeOrInit;
@@ -119,22 +181,68 @@ class UnifiedCacheOverride {
       // eslint-disable-next-line new-cap
       const NativeCacheOverride = nativeCacheOverride;
       if (typeof this.modeOrInit === 'string') {
-        this.native = new NativeCacheOverride(this.modeOrInit, this.options);
+        this.native = new NativeCacheOverride(this.modeOrInit, this.toFastlyOptions());
       } else {
-        this.native = new NativeCacheOverride(this.options);
+        this.native = new NativeCacheOverride(this.toFastlyOptions());
       }
     }
   }
 
   /**
-   * Converts this CacheOverride to Cloudflare cf options
+   * Converts this CacheOverride to the init of the native Fastly CacheOverride. The options
+   * without native equivalent, `staleIfError` and `cacheTtlByStatus`, are applied to the
+   * candidate response in the `afterSend` hook. `staleIfError` only sets the directive for
+   * downstream caches, the Fastly cache does not serve stale responses on origin errors.
+   * `cacheEverything` is not needed on Fastly.
+   * @returns {object} the native init
+   */
+  toFastlyOptions() {
+    const {
+      ttl, cacheKey, surrogateKey, swr, pci, beforeSend, afterSend, staleIfError, cacheTtlByStatus,
+    } = this.options;
+    const init = {
+      ...(ttl !== undefined && { ttl }),
+      ...(cacheKey && { cacheKey }),
+      ...(surrogateKey && { surrogateKey }),
+      ...(swr !== undefined && { swr }),
+      ...(pci !== undefined && { pci }),
+      ...(beforeSend && { beforeSend }),
+    };
+    if (staleIfError === undefined && !cacheTtlByStatus) {
+      return afterSend ? { ...init, afterSend } : init;
+    }
+    init.afterSend = async (response) => {
+      if (cacheTtlByStatus) {
+        const statusTtl = ttlForStatus(cacheTtlByStatus, response.status);
+        if (statusTtl < 0) {
+          return { cache: false };
+        }
+        if (statusTtl !== undefined) {
+          response.ttl = statusTtl;
+        }
+      }
+      if (staleIfError !== undefined) {
+        const cacheControl = response.headers.get('cache-control');
+        response.headers.set('cache-control', [cacheControl, `stale-if-error=${staleIfError}`]
+          .filter((v) => v)
+          .join(', '));
+      }
+      return afterSend ? afterSend(response) : undefined;
+    };
+    return init;
+  }
+
+  /**
+   * Converts this CacheOverride to Cloudflare cf options. `swr` and `staleIfError` have no
+   * per-request equivalent and are ignored, and `pci` responses are not cached. The
+   * `beforeSend` and `afterSend` hooks are called by the fetch wrapper.
    * @returns {object|undefined} Cloudflare cf object or undefined
    */
   toCloudflareOptions() {
     const cf = {};
 
-    if (this.mode === 'pass') {
-      // Pass mode = don't cache
+    if (this.mode === 'pass' || this.options.pci) {
+      // Pass mode = don't cache. There is no PCI compliant cache, so don't cache either
       cf.cacheTtl = 0;
       return cf;
     }
@@ -158,6 +266,14 @@ class UnifiedCacheOverride {
       cf.cacheTags = this.options.surrogateKey.split(/\s+/);
     }
 
+    if (this.options.cacheTtlByStatus) {
+      cf.cacheTtlByStatus = this.options.cacheTtlByStatus;
+    }
+
+    if (this.options.cacheEverything !== undefined) {
+      cf.cacheEverything = this.options.cacheEverything;
+    }
+
     return Object.keys(cf).length > 0 ? cf : undefined;
   }
 
@@ -171,6 +287,31 @@ class UnifiedCacheOverride {
   }
 }
 
+/**
+ * Enables dynamic backends on Fastly: requests without `backend` option are sent to a
+ * backend that is derived from the origin of the request URL and registered at runtime.
+ * This allows to run code written for `fetch()` without platform specific options. The
+ * Fastly service must allow dynamic backends. On other platforms, this has no effect.
+ * @param {object} [options] defaults of the created backends
+ * @param {number} [options.connectTimeout] connect timeout in ms
+ * @param {number} [options.firstByteTimeout] first byte timeout in ms
+ * @param {number} [options.betweenBytesTimeout] between bytes timeout in ms
+ */
+export function enableDynamicBackends(options = {}) {
+  dynamicBackends = { ...DYNAMIC_BACKEND_DEFAULTS, ...options };
+  if (!backendModulePromise) {
+    backendModulePromise = loadBackendModule();
+  }
+}
+
+/**
+ * Disables dynamic backends and clears the created backends.
+ */
+export function disableDynamicBackends() {
+  dynamicBackends = null;
+  backendCache.clear();
+}
+
 // Store original fetch and other APIs
 const originalFetch = globalThis.fetch;
 const {
@@ -180,14 +321,68 @@ const {
 } = globalThis;
 
 /**
- * Wrapped fetch that supports the cacheOverride option
+ * Returns the URL of a request.
+ * @param {string|URL|Request} resource - URL or Request object
+ * @returns {URL} The URL
+ */
+function getRequestURL(resource) {
+  return new URL(resource instanceof OriginalRequest ? resource.url : String(resource));
+}
+
+/**
+ * Returns the dynamic backend for the origin of the request URL, and creates it if needed.
+ * @param {string|URL|Request} resource - URL or Request object
+ * @returns {Promise<object|null>} the backend or null if dynamic backends are not available
+ */
+async function getDynamicBackend(resource) {
+  const module = await backendModulePromise;
+  if (!module?.Backend) {
+    return null;
+  }
+  const url = getRequestURL(resource);
+  const tls = url.protocol === 'https:';
+  const port = url.port || (tls ? '443' : '80');
+  const origin = `${url.protocol}//${url.hostname}:${port}`;
+  if (!backendCache.has(origin)) {
+    const { Backend } = module;
+    // backend names must be unique per service and only contain a limited set of characters
+    const name = `dynamic_${url.hostname}_${port}`.replace(/[^a-zA-Z0-9_]/g, '_');
+    const backend = typeof Backend.exists === 'function' && Backend.exists(name)
+      ? Backend.fromName(name)
+      : new Backend({
+        name,
+        target: `${url.hostname}:${port}`,
+        hostOverride: url.hostname,
+        connectTimeout: dynamicBackends.connectTimeout,
+        firstByteTimeout: dynamicBackends.firstByteTimeout,
+        betweenBytesTimeout: dynamicBackends.betweenBytesTimeout,
+        useSSL: tls,
+        ...(tls && {
+          sniHostname: url.hostname,
+          certificateHostname: url.hostname,
+        }),
+      });
+    backendCache.set(origin, backend);
+  }
+  return backendCache.get(origin);
+}
+
+/**
+ * Fetch that supports the cacheOverride option and dynamic backends
  * @param {string|Request} resource - URL or Request object
  * @param {object} [options] - Fetch options with cacheOverride
  * @returns {Promise<Response>} Fetch response
  */
-async function wrappedFetch(resource, options = {}) {
+async function platformFetch(resource, options = {}) {
   const { cacheOverride, ...restOptions } = options;
 
+  if (dynamicBackends && !restOptions.backend) {
+    const backend = await getDynamicBackend(resource);
+    if (backend) {
+      restOptions.backend = backend;
+    }
+  }
+
   if (!cacheOverride) {
     // No cache override, use original fetch
     return originalFetch(resource, restOptions);
@@ -209,21 +404,483 @@ async function wrappedFetch(resource, options = {}) {
   if (isCloudflare) {
     // On Cloudflare, convert to cf options
     const cfOptions = cacheOverride.toCloudflareOptions();
-    if (cfOptions) {
-      return originalFetch(resource, {
-        ...restOptions,
-        cf: {
-          ...(restOptions.cf || {}),
-          ...cfOptions,
-        },
-      });
+    const cfInit = cfOptions
+      ? { ...restOptions, cf: { ...(restOptions.cf || {}), ...cfOptions } }
+      : restOptions;
+    const { beforeSend, afterSend } = cacheOverride.options;
+    if (!beforeSend && !afterSend) {
+      return originalFetch(resource, cfInit);
+    }
+    // emulate the hooks of the native Fastly CacheOverride. their cache decisions are ignored
+    let request = resource;
+    if (beforeSend) {
+      request = new OriginalRequest(resource, restOptions);
+      await beforeSend(request);
     }
+    const response = beforeSend
+      ? await originalFetch(request, cfOptions ? { cf: cfInit.cf } : undefined)
+      : await originalFetch(request, cfInit);
+    if (!afterSend) {
+      return response;
+    }
+    // the headers of fetched responses are immutable
+    const mutable = new OriginalResponse(response.body, response);
+    await afterSend(mutable);
+    return mutable;
   }
 
   // Fallback: just use original fetch without cache override
   return originalFetch(resource, restOptions);
 }
 
+/**
+ * Base class of the errors thrown by fetch, like in @adobe/fetch.
+ */
+export class FetchBaseError extends Error {
+  /**
+   * @param {string} message - The error message
+   * @param {string} [type] - The error type
+   */
+  constructor(message, type) {
+    super(message);
+    this.type = type;
+  }
+
+  get name() {
+    return this.constructor.name;
+  }
+}
+
+/**
+ * Error thrown when a request fails, eg. because the host cannot be reached.
+ */
+export class FetchError extends FetchBaseError {
+  /**
+   * @param {string} message - The error message
+   * @param {string} [type] - The error type
+   * @param {Error} [systemError] - The underlying error
+   */
+  constructor(message, type, systemError) {
+    super(message, type);
+    if (systemError) {
+      this.code = systemError.code;
+      this.errno = systemError.errno;
+      this.erroredSysCall = systemError.syscall;
+    }
+  }
+}
+
+/**
+ * Error thrown when a request is aborted by its signal or its timeout.
+ */
+export class AbortError extends FetchBaseError {
+  /**
+   * @param {string} [message] - The error message
+   * @param {string} [type] - The error type
+   */
+  constructor(message = 'The operation was aborted.', type = 'aborted') {
+    super(message, type);
+  }
+}
+
+/**
+ * Options of @adobe/fetch that cannot be provided on top of the native fetch of the edge
+ * runtimes, with the only value that is accepted.
+ */
+const UNSUPPORTED_FETCH_OPTIONS = {
+  compress: true,
+  decode: true,
+};
+
+/**
+ * Options of the @adobe/fetch `context()` that are supported at the edge.
+ */
+const SUPPORTED_CONTEXT_OPTIONS = ['userAgent'];
+
+/**
+ * Returns a signal that aborts after the given time, like `timeoutSignal()` of @adobe/fetch.
+ * Call `clear()` on the signal to cancel the timer.
+ * @param {number} ms - The timeout in milliseconds
+ * @returns {AbortSignal} The signal
+ */
+export function timeoutSignal(ms) {
+  if (!Number.isInteger(ms) || ms < 0) {
+    throw new TypeError('timeoutSignal() needs a timeout in milliseconds');
+  }
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), ms);
+  const { signal } = controller;
+  signal.clear = () => clearTimeout(timer);
+  return signal;
+}
+
+/**
+ * Converts the @adobe/fetch options to options of the native fetch. Plain object bodies are
+ * sent as JSON, and `follow: 0` disables redirects.
+ * @param {object} options - The fetch options
+ * @returns {object} The native fetch options, with the `timeout` in ms, the `retry` policy
+ *                   and the `subrequests` recorder
+ */
+function toNativeOptions(options) {
+  const unsupported = Object.keys(UNSUPPORTED_FETCH_OPTIONS)
+    .filter((name) => name in options && options[name] !== UNSUPPORTED_FETCH_OPTIONS[name]);
+  if (unsupported.length > 0) {
+    throw new TypeError(`fetch: Unsupported options at the edge: ${unsupported.join(', ')}`);
+  }
+  const {
+    follow, timeout, retry, subrequests, ...init
+  } = options;
+  Object.keys(UNSUPPORTED_FETCH_OPTIONS).forEach((name) => delete init[name]);
+  if (timeout !== undefined && (!Number.isInteger(timeout) || timeout < 0)) {
+    throw new TypeError('fetch: The timeout option needs a timeout in milliseconds');
+  }
+  if (follow === 0 && !init.redirect) {
+    init.redirect = 'manual';
+  }
+  const { body } = init;
+  if (body && Object.getPrototypeOf(body) === Object.prototype) {
+    init.body = JSON.stringify(body);
+    init.headers = new OriginalHeaders(init.headers);
+    if (!init.headers.has('content-type')) {
+      init.headers.set('content-type', 'application/json');
+    }
+  }
+  return {
+    init, timeout, retry, subrequests,
+  };
+}
+
+/**
+ * Converts the errors of the native fetch to the errors of @adobe/fetch.
+ * @param {Error} e - The error
+ * @returns {Error} The converted error
+ */
+function toFetchError(e) {
+  if (e instanceof FetchBaseError) {
+    return e;
+  }
+  if (e?.name === 'AbortError' || e?.name === 'TimeoutError') {
+    return new AbortError();
+  }
+  if (e instanceof TypeError && e.message !== 'Invalid URL') {
+    return new FetchError(e.message, 'system', e.cause ?? e);
+  }
+  return e;
+}
+
+/**
+ * Returns the URL and method of a request.
+ * @param {string|URL|Request} resource - URL or Request object
+ * @param {object} init - The native fetch options
+ * @returns {object} The `url` and `method`
+ */
+function describeRequest(resource, init) {
+  const isRequest = resource instanceof OriginalRequest;
+  return {
+    url: getRequestURL(resource),
+    method: (init.method || (isRequest && resource.method) || 'GET').toUpperCase(),
+  };
+}
+
+/**
+ * Sends a single request, aborted after the timeout.
+ * @param {string|Request} resource - URL or Request object
+ * @param {object} init - The native fetch options
+ * @param {number} [timeout] - Timeout of the request in milliseconds
+ * @returns {Promise<Response>} Fetch response
+ */
+async function sendRequest(resource, init, timeout) {
+  if (timeout === undefined) {
+    try {
+      return await platformFetch(resource, init);
+    } catch (e) {
+      throw toFetchError(e);
+    }
+  }
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const { signal } = init;
+  if (signal?.aborted) {
+    controller.abort();
+  } else {
+    signal?.addEventListener('abort', () => controller.abort(), { once: true });
+  }
+  try {
+    return await platformFetch(resource, { ...init, signal: controller.signal });
+  } catch (e) {
+    throw toFetchError(e);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Sends a single request and records it with the subrequest recorder, if there is one.
+ * @param {string|Request} resource - URL or Request object
+ * @param {object} init - The native fetch options
+ * @param {number} [timeout] - Timeout of the request in milliseconds
+ * @param {object} [subrequests] - The subrequest recorder
+ * @returns {Promise<Response>} Fetch response
+ */
+async function fetchOnce(resource, init, timeout, subrequests) {
+  if (!subrequests) {
+    return sendRequest(resource, init, timeout);
+  }
+  const { url, method } = describeRequest(resource, init);
+  const end = subrequests.start(method, url);
+  try {
+    const response = await sendRequest(resource, init, timeout);
+    end(response);
+    return response;
+  } catch (e) {
+    end(null, e);
+    throw e;
+  }
+}
+
+/**
+ * Defaults of the retry policy. Like the `restart` of the gateway, only idempotent requests
+ * are retried.
+ */
+const RETRY_DEFAULTS = {
+  attempts: 3,
+  minDelay: 100,
+  maxDelay: 2000,
+  factor: 2,
+  deadline: 10000,
+  statuses: [429, 502, 503, 504],
+  methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+  breaker: {
+    threshold: 5,
+    cooldown: 30000,
+  },
+};
+
+// Circuit breakers by origin, kept across requests
+const circuitBreakers = new Map();
+
+/**
+ * Resets the circuit breakers of all origins.
+ */
+export function resetCircuitBreakers() {
+  circuitBreakers.clear();
+}
+
+/**
+ * Checks whether the circuit breaker of the origin is open. After the cooldown, the breaker
+ * is half-open and lets requests through, whose outcome closes or reopens it.
+ * @param {string} origin - The origin
+ * @returns {boolean} true if requests to the origin are rejected
+ */
+function isCircuitOpen(origin) {
+  return circuitBreakers.get(origin)?.openUntil > Date.now();
+}
+
+/**
+ * Records the outcome of a request in the circuit breaker of the origin.
+ * @param {string} origin - The origin
+ * @param {object|false} policy - The breaker policy, or false if disabled
+ * @param {boolean} failed - Whether the request failed
+ */
+function recordOutcome(origin, policy, failed) {
+  if (!policy) {
+    return;
+  }
+  if (!failed) {
+    circuitBreakers.delete(origin);
+    return;
+  }
+  const breaker = circuitBreakers.get(origin) || { failures: 0, openUntil: 0 };
+  breaker.failures += 1;
+  if (breaker.failures >= policy.threshold) {
+    breaker.openUntil = Date.now() + policy.cooldown;
+  }
+  circuitBreakers.set(origin, breaker);
+}
+
+/**
+ * Returns the delay before the next attempt: an exponential backoff with full jitter, or the
+ * `retry-after` of the response, if it is longer.
+ * @param {object} policy - The retry policy
+ * @param {number} attempt - The failed attempt, starting at 1
+ * @param {Response} [response] - The response of the failed attempt
+ * @returns {number} The delay in ms
+ */
+function retryDelay(policy, attempt, response) {
+  const backoff = Math.min(policy.maxDelay, policy.minDelay * policy.factor ** (attempt - 1));
+  const delay = Math.round(Math.random() * backoff);
+  const retryAfter = Number.parseInt(response?.headers.get('retry-after'), 10) * 1000;
+  return retryAfter > delay ? Math.min(retryAfter, policy.maxDelay) : delay;
+}
+
+/**
+ * Sends a request with retries. Network errors, timeouts and responses with a retryable
+ * status are retried until the attempts are exhausted, the circuit breaker of the origin
+ * opens or the deadline would be exceeded, and then the last response is returned or the
+ * last error is thrown. Requests to an origin with open circuit breaker fail immediately.
+ * @param {string|Request} resource - URL or Request object
+ * @param {object} init - The native fetch options
+ * @param {number} [timeout] - Timeout of each attempt in milliseconds
+ * @param {object|boolean} retry - The retry policy, or true for the defaults
+ * @param {object} [subrequests] - The subrequest recorder, which records each attempt
+ * @returns {Promise<Response>} Fetch response
+ */
+async function fetchWithRetry(resource, init, timeout, retry, subrequests) {
+  const policy = {
+    ...RETRY_DEFAULTS,
+    ...(typeof retry === 'object' && retry),
+  };
+  if (policy.breaker) {
+    policy.breaker = {
+      ...RETRY_DEFAULTS.breaker,
+      ...(typeof policy.breaker === 'object' && policy.breaker),
+    };
+  }
+  const { url, method } = describeRequest(resource, init);
+  // streamed bodies cannot be sent again
+  const replayable = !(init.body instanceof ReadableStream)
+    && !(resource instanceof OriginalRequest && resource.body);
+  const attempts = policy.methods.includes(method) && replayable ? policy.attempts : 1;
+  const deadline = Date.now() + policy.deadline;
+  // without a logger in the policy, retries are logged to `context.log` of the invocation
+  const log = policy.log ?? getActiveRecorder()?.log;
+  if (policy.breaker && isCircuitOpen(url.origin)) {
+    throw new FetchError(`Circuit breaker open for ${url.origin}`, 'circuit-open');
+  }
+
+  for (let attempt = 1; ; attempt += 1) {
+    const remaining = deadline - Date.now();
+    let response;
+    let error;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      response = await fetchOnce(
+        resource,
+        init,
+        Math.min(timeout ?? remaining, remaining),
+        subrequests,
+      );
+    } catch (e) {
+      if (init.signal?.aborted) {
+        throw e;
+      }
+      error = e;
+    }
+    const failed = !!error || policy.statuses.includes(response.status);
+    recordOutcome(url.origin, policy.breaker, failed);
+    if (!failed) {
+      return response;
+    }
+    const delay = retryDelay(policy, attempt, response);
+    if (attempt >= attempts || isCircuitOpen(url.origin) || Date.now() + delay >= deadline) {
+      if (error) {
+        throw error;
+      }
+      return response;
+    }
+    log?.warn({
+      message: 'retrying subrequest',
+      method,
+      url: `${url.origin}${url.pathname}`,
+      attempt,
+      attempts,
+      delay,
+      reason: error ? error.message : `status ${response.status}`,
+    });
+    // eslint-disable-next-line no-await-in-loop
+    await response?.body?.cancel();
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise((resolve) => {
+      setTimeout(resolve, delay);
+    });
+  }
+}
+
+/**
+ * Wrapped fetch that supports the options of @adobe/fetch, the cacheOverride option,
+ * dynamic backends and retries
+ * @param {string|Request} resource - URL or Request object
+ * @param {object} [options] - Fetch options
+ * @param {number} [options.timeout] - Timeout of the request in milliseconds
+ * @param {CacheOverride} [options.cacheOverride] - The cache override
+ * @param {object|boolean} [options.retry] - The retry policy, or true for the defaults
+ * @param {number} [options.retry.attempts] - The maximum number of attempts
+ * @param {number} [options.retry.minDelay] - The backoff of the first retry in ms
+ * @param {number} [options.retry.maxDelay] - The maximum backoff in ms
+ * @param {number} [options.retry.factor] - The growth factor of the backoff
+ * @param {number} [options.retry.deadline] - The time in ms after which no attempt is started
+ * @param {number[]} [options.retry.statuses] - The response statuses that are retried
+ * @param {string[]} [options.retry.methods] - The request methods that are retried
+ * @param {object|boolean} [options.retry.breaker] - The circuit breaker policy with
+ *                         `threshold` and `cooldown` in ms, or false to disable it
+ * @param {object} [options.retry.log] - The logger of the retries, `context.log` by default
+ * @param {object|boolean} [options.subrequests] - The subrequest recorder, or false to not
+ *                         record the request. Defaults to the recorder of the invocation
+ * @returns {Promise<Response>} Fetch response
+ */
+async function wrappedFetch(resource, options = {}) {
+  const {
+    init, timeout, retry, subrequests = getActiveRecorder(),
+  } = toNativeOptions(options);
+  if (!retry) {
+    return fetchOnce(resource, init, timeout, subrequests);
+  }
+  return fetchWithRetry(resource, init, timeout, retry, subrequests);
+}
+
+/**
+ * Creates a fetch context, like `context()` of @adobe/fetch. The edge runtimes manage the
+ * connections and do not cache responses on the client, so `reset()` and `clearCache()`
+ * have nothing to do. Only the `userAgent` option is supported.
+ * @param {object} [options] - The context options
+ * @param {string} [options.userAgent] - The user-agent of requests without one
+ * @returns {object} The fetch context
+ */
+export function context(options = {}) {
+  const unsupported = Object.keys(options)
+    .filter((name) => !SUPPORTED_CONTEXT_OPTIONS.includes(name));
+  if (unsupported.length > 0) {
+    throw new TypeError(`context: Unsupported options at the edge: ${unsupported.join(', ')}`);
+  }
+  const { userAgent } = options;
+  const contextFetch = (resource, fetchOptions = {}) => {
+    if (!userAgent) {
+      return wrappedFetch(resource, fetchOptions);
+    }
+    const headers = new OriginalHeaders(fetchOptions.headers
+      ?? (resource instanceof OriginalRequest ? resource.headers : undefined));
+    if (!headers.has('user-agent')) {
+      headers.set('user-agent', userAgent);
+    }
+    return wrappedFetch(resource, { ...fetchOptions, headers });
+  };
+  return {
+    fetch: contextFetch,
+    Request: OriginalRequest,
+    Response: OriginalResponse,
+    Headers: OriginalHeaders,
+    AbortController,
+    AbortSignal,
+    AbortError,
+    FetchBaseError,
+    FetchError,
+    timeoutSignal,
+    reset: async () => {},
+    clearCache: () => {},
+    cacheStats: () => ({ size: 0, count: 0 }),
+  };
+}
+
+/**
+ * Creates a fetch context without cache, like `noCache()` of @adobe/fetch. Since the
+ * polyfill has no client cache, this is the same as `context()`.
+ * @param {object} [options] - The context options
+ * @returns {object} The fetch context
+ */
+export function noCache(options = {}) {
+  return context(options);
+}
+
 // Export as default for clean import syntax
 export default {
   fetch: wrappedFetch,
@@ -231,6 +888,16 @@ export default {
   Response: OriginalResponse,
   Headers: OriginalHeaders,
   CacheOverride: UnifiedCacheOverride,
+  cache,
+  enableDynamicBackends,
+  disableDynamicBackends,
+  context,
+  noCache,
+  timeoutSignal,
+  AbortError,
+  FetchBaseError,
+  FetchError,
+  resetCircuitBreakers,
 };
 
 // Named exports for destructuring import syntax
@@ -239,3 +906,4 @@ export const Request = OriginalRequest;
 export const Response = OriginalResponse;
 export const Headers = OriginalHeaders;
 export const CacheOverride = UnifiedCacheOverride;
+export { cache };
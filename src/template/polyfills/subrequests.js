@@ -0,0 +1,140 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-env serviceworker */
+
+/**
+ * Maximum number of subrequests in the `Server-Timing` summary, to limit the header size.
+ */
+const MAX_SERVER_TIMING_ENTRIES = 20;
+
+/**
+ * The recorders of the invocations that are currently running.
+ */
+const activeRecorders = new Set();
+
+/**
+ * Returns the cache state of a subrequest response, from the `cf-cache-status` header on
+ * Cloudflare and the `x-cache` header on Fastly.
+ * @param {Response} response - The response
+ * @returns {string|null} The cache state, eg. `HIT` or `MISS`, or null if unknown
+ */
+function getCacheState(response) {
+  return response.headers.get('cf-cache-status') ?? response.headers.get('x-cache');
+}
+
+/**
+ * Creates the recorder of the subrequests of an invocation. Each recorded subrequest is
+ * logged as structured entry with its host and path, and added to the `Server-Timing`
+ * summary with its duration only. The adapters create a recorder per invocation, which
+ * only records and logs if the action enables it, see `createInvocationRecorder()`.
+ * @param {object} [log] - The logger of the entries, usually `context.log`
+ * @param {object} [opts] - Options
+ * @param {function(): boolean} [opts.enabled] - Returns whether subrequests are recorded
+ * @param {function(): boolean} [opts.logged] - Returns whether recorded subrequests are logged
+ * @returns {object} The recorder with `log`, `entries`, `start()` and `serverTiming()`
+ */
+export function createSubrequestRecorder(log, {
+  enabled = () => true,
+  logged = () => true,
+} = {}) {
+  const entries = [];
+  return {
+    log,
+    entries,
+
+    /**
+     * Starts recording a subrequest.
+     * @param {string} method - The request method
+     * @param {URL} url - The request URL
+     * @returns {function(Response, Error): void} Ends the recording with the response or
+     *                                            the error
+     */
+    start(method, url) {
+      if (!enabled()) {
+        return () => {};
+      }
+      const start = Date.now();
+      return (response, error) => {
+        const contentLength = response?.headers.get('content-length');
+        const entry = {
+          method,
+          host: url.host,
+          path: url.pathname,
+          status: response?.status ?? null,
+          duration: Date.now() - start,
+          cache: response ? getCacheState(response) : null,
+          bytes: contentLength ? Number(contentLength) : null,
+          ...(error && { error: error.message }),
+        };
+        entries.push(entry);
+        if (logged()) {
+          log?.info({ message: 'subrequest', ...entry });
+        }
+      };
+    },
+
+    /**
+     * Returns the `Server-Timing` header value with an entry per subrequest. The entries
+     * are numbered, so that the response does not reveal the origins of the action.
+     * @returns {string} The header value, empty if there were no subrequests
+     */
+    serverTiming() {
+      return entries.slice(0, MAX_SERVER_TIMING_ENTRIES)
+        .map(({ duration }, i) => `subreq-${i + 1};dur=${duration}`)
+        .join(', ');
+    },
+  };
+}
+
+/**
+ * Creates the subrequest recorder of an invocation. Nothing is recorded unless the action
+ * sets `context.attributes.subrequests`, which records and logs the subrequests, or
+ * `context.attributes.serverTiming`, which records them for the `Server-Timing` header.
+ * @param {object} context - The universal context
+ * @returns {object} The recorder
+ */
+export function createInvocationRecorder(context) {
+  return createSubrequestRecorder(context.log, {
+    enabled: () => !!(context.attributes.subrequests || context.attributes.serverTiming),
+    logged: () => !!context.attributes.subrequests,
+  });
+}
+
+/**
+ * Runs the function with the recorder as recorder of all fetches that do not pass their
+ * own, including those of fetch contexts and libraries.
+ * @param {object} recorder - The subrequest recorder of the invocation
+ * @param {function(): Promise<*>} fn - The function to run, eg. the action's main
+ * @returns {Promise<*>} The result of the function
+ */
+export async function recordSubrequests(recorder, fn) {
+  activeRecorders.add(recorder);
+  try {
+    return await fn();
+  } finally {
+    activeRecorders.delete(recorder);
+  }
+}
+
+/**
+ * Returns the recorder of the running invocation. If several invocations are running, as
+ * with concurrent requests in a Cloudflare isolate, a fetch cannot be attributed to one of
+ * them, and null is returned.
+ * @returns {object|null} The subrequest recorder or null
+ */
+export function getActiveRecorder() {
+  if (activeRecorders.size !== 1) {
+    return null;
+  }
+  const [recorder] = activeRecorders;
+  return recorder;
+}
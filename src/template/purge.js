@@ -0,0 +1,82 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-env serviceworker */
+
+/**
+ * Maximum number of cache tags per purge request, see
+ * https://developers.cloudflare.com/cache/how-to/purge-cache/purge-by-tags/
+ */
+const CLOUDFLARE_TAGS_PER_PURGE = 30;
+
+/**
+ * Normalizes the keys to purge to an array. A string can contain several space-separated
+ * keys, like the `surrogateKey` of the CacheOverride.
+ * @param {string|string[]} keys - The surrogate keys
+ * @returns {string[]} The keys
+ */
+function toKeys(keys) {
+  return (Array.isArray(keys) ? keys : [keys])
+    .flatMap((key) => String(key).split(/\s+/))
+    .filter((key) => key);
+}
+
+/**
+ * Creates the purge function of the universal context for Cloudflare. It purges the cache
+ * tags via the Cloudflare API, which also purges the Cache API entries with a `Cache-Tag`
+ * header. The API needs the zone ID and an API token with the cache purge permission, from
+ * the `CLOUDFLARE_ZONE_ID` and `CLOUDFLARE_PURGE_TOKEN` env bindings. Cloudflare has no soft
+ * purge, so the `soft` option is ignored.
+ * @param {object} env - The worker's env bindings
+ * @returns {function} `purgeSurrogateKey(keys, { soft })`
+ */
+export function createCloudflarePurge(env) {
+  return async (keys) => {
+    const tags = toKeys(keys);
+    if (!tags.length) {
+      return;
+    }
+    const { CLOUDFLARE_ZONE_ID: zoneId, CLOUDFLARE_PURGE_TOKEN: token } = env;
+    if (!zoneId || !token) {
+      throw new Error('Purging on Cloudflare needs the CLOUDFLARE_ZONE_ID and '
+        + 'CLOUDFLARE_PURGE_TOKEN params');
+    }
+    for (let i = 0; i < tags.length; i += CLOUDFLARE_TAGS_PER_PURGE) {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await fetch(`https://api.cloudflare.com/client/v4/zones/${zoneId}/purge_cache`, {
+        method: 'POST',
+        headers: {
+          authorization: `Bearer ${token}`,
+          'content-type': 'application/json',
+        },
+        body: JSON.stringify({ tags: tags.slice(i, i + CLOUDFLARE_TAGS_PER_PURGE) }),
+      });
+      if (!res.ok) {
+        // eslint-disable-next-line no-await-in-loop
+        const { errors } = await res.json().catch(() => ({}));
+        throw new Error(`Unable to purge cache tags: ${errors?.[0]?.message || res.status}`);
+      }
+    }
+  };
+}
+
+/**
+ * Creates the purge function of the universal context for Fastly. It purges the surrogate
+ * keys with `purgeSurrogateKey()` of the `fastly:compute` module, imported on first use.
+ * @returns {function} `purgeSurrogateKey(keys, { soft })`
+ */
+export function createFastlyPurge() {
+  return async (keys, { soft = false } = {}) => {
+    // eslint-disable-next-line import/no-unresolved
+    const { purgeSurrogateKey } = await import('fastly:compute');
+    toKeys(keys).forEach((key) => purgeSurrogateKey(key, soft));
+  };
+}
@@ -0,0 +1,149 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-env serviceworker */
+
+/**
+ * Parses the metadata stored along with a value.
+ * @param {string|null} text - The serialized metadata
+ * @returns {object|null} The metadata object
+ */
+function parseMetadata(text) {
+  if (!text) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Creates a key-value store backed by a Cloudflare KV namespace binding.
+ * @param {object} namespace - The KV namespace binding
+ * @returns {object} Store with get, getWithMetadata, put, delete and list methods
+ */
+export function createCloudflareKVStore(namespace) {
+  return {
+    get: (key) => namespace.get(key, { type: 'text' }),
+
+    getWithMetadata: async (key) => {
+      const { value, metadata } = await namespace.getWithMetadata(key, { type: 'text' });
+      return { value, metadata: metadata ?? null };
+    },
+
+    put: (key, value, { ttl, metadata } = {}) => namespace.put(key, value, {
+      ...(typeof ttl === 'number' && { expirationTtl: ttl }),
+      ...(metadata && { metadata }),
+    }),
+
+    delete: (key) => namespace.delete(key),
+
+    list: async ({ prefix, limit, cursor } = {}) => {
+      const result = await namespace.list({ prefix, limit, cursor });
+      return {
+        keys: result.keys.map(({ name }) => name),
+        cursor: result.list_complete ? undefined : result.cursor,
+      };
+    },
+  };
+}
+
+/**
+ * Creates a key-value store backed by a Fastly KV Store.
+ * The fastly:kv-store module is imported lazily, on first use.
+ * @param {string} name - The name of the KV Store resource link
+ * @returns {object} Store with get, getWithMetadata, put, delete and list methods
+ */
+export function createFastlyKVStore(name) {
+  let storePromise = null;
+
+  const getStore = () => {
+    if (!storePromise) {
+      // eslint-disable-next-line import/no-unresolved
+      storePromise = import('fastly:kv-store').then(({ KVStore }) => new KVStore(name));
+    }
+    return storePromise;
+  };
+
+  return {
+    get: async (key) => {
+      const entry = await (await getStore()).get(key);
+      return entry ? entry.text() : null;
+    },
+
+    getWithMetadata: async (key) => {
+      const entry = await (await getStore()).get(key);
+      if (!entry) {
+        return { value: null, metadata: null };
+      }
+      return {
+        value: await entry.text(),
+        metadata: parseMetadata(entry.metadataText()),
+      };
+    },
+
+    put: async (key, value, { ttl, metadata } = {}) => (await getStore()).put(key, value, {
+      ...(typeof ttl === 'number' && { ttl }),
+      ...(metadata && { metadata: JSON.stringify(metadata) }),
+    }),
+
+    delete: async (key) => (await getStore()).delete(key),
+
+    list: async ({ prefix, limit, cursor } = {}) => {
+      const result = await (await getStore()).list({ prefix, limit, cursor });
+      return {
+        keys: result.list,
+        cursor: result.cursor || undefined,
+      };
+    },
+  };
+}
+
+/**
+ * Creates the storage of the universal context for Cloudflare.
+ * The stores are the KV namespaces bound to the worker under the store name.
+ * @param {object} env - The worker's env bindings
+ * @returns {object} Storage with an `open(name)` method
+ */
+export function createCloudflareStorage(env) {
+  const stores = {};
+  return {
+    open: (name) => {
+      if (!stores[name]) {
+        const namespace = env[name];
+        if (!namespace || typeof namespace.getWithMetadata !== 'function') {
+          throw new Error(`No KV namespace bound to "${name}"`);
+        }
+        stores[name] = createCloudflareKVStore(namespace);
+      }
+      return stores[name];
+    },
+  };
+}
+
+/**
+ * Creates the storage of the universal context for Fastly.
+ * The stores are the KV Stores linked to the service under the store name.
+ * @returns {object} Storage with an `open(name)` method
+ */
+export function createFastlyStorage() {
+  const stores = {};
+  return {
+    open: (name) => {
+      if (!stores[name]) {
+        stores[name] = createFastlyKVStore(name);
+      }
+      return stores[name];
+    },
+  };
+}
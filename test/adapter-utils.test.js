@@ -13,7 +13,9 @@
 /* eslint-env mocha */
 
 import assert from 'assert';
-import { extractPathFromURL } from '../src/template/adapter-utils.js';
+import {
+  extractPathFromURL, createWaitUntil, createErrorResponse, withServerTiming,
+} from '../src/template/adapter-utils.js';
 
 describe('Edge Adapter Test', () => {
   it('extract path from URL', () => {
@@ -33,4 +35,139 @@ describe('Edge Adapter Test', () => {
     const suffix = extractPathFromURL(req);
     assert.equal(suffix, '/path/sub-path/sub-sub');
   });
+
+  it('waitUntil delegates to the platform', () => {
+    const promises = [];
+    const waitUntil = createWaitUntil({ waitUntil: (p) => promises.push(p) });
+    const promise = Promise.resolve();
+    waitUntil(promise);
+    assert.deepStrictEqual(promises, [promise]);
+  });
+
+  it('waitUntil ignores missing platform support', () => {
+    assert.doesNotThrow(() => createWaitUntil({})(Promise.resolve()));
+    assert.doesNotThrow(() => createWaitUntil(undefined)(Promise.resolve()));
+  });
+
+  describe('withServerTiming', () => {
+    const contextWith = (timing, serverTiming = true) => ({
+      attributes: { serverTiming },
+      subrequests: { serverTiming: () => timing },
+    });
+
+    it('appends the summary of the subrequests', async () => {
+      const response = new Response('ok', { headers: { 'server-timing': 'app;dur=5' } });
+      const res = withServerTiming(response, contextWith('subreq-1;dur=3'));
+      assert.strictEqual(res.headers.get('server-timing'), 'app;dur=5, subreq-1;dur=3');
+      assert.strictEqual(await res.text(), 'ok');
+    });
+
+    it('returns the response without subrequests', () => {
+      const response = new Response('ok');
+      assert.strictEqual(withServerTiming(response, contextWith('')), response);
+      assert.strictEqual(withServerTiming(response, undefined), response);
+    });
+
+    it('returns the response unless the action enabled the summary', () => {
+      const response = new Response('ok');
+      assert.strictEqual(withServerTiming(response, contextWith('subreq-1;dur=3', false)), response);
+      assert.strictEqual(withServerTiming(response, { subrequests: contextWith('x').subrequests }), response);
+    });
+  });
+
+  describe('createErrorResponse', () => {
+    const request = (accept) => ({
+      headers: new Headers(accept ? { accept } : {}),
+    });
+    const context = (errors) => ({ log: { error: (data) => errors.push(data) } });
+
+    it('returns a JSON error with the request id', async () => {
+      const errors = [];
+      const error = new Error('db password wrong\nat line 2');
+      const res = await createErrorResponse(error, request('application/json'), {
+        context: context(errors),
+        requestId: 'req-1',
+      });
+      assert.strictEqual(res.status, 500);
+      assert.strictEqual(res.headers.get('content-type'), 'application/json');
+      assert.strictEqual(res.headers.get('x-error'), 'db password wrong at line 2');
+      assert.deepStrictEqual(await res.json(), {
+        status: 500,
+        error: 'Internal Server Error',
+        requestId: 'req-1',
+      });
+      assert.strictEqual(errors.length, 1);
+      assert.strictEqual(errors[0].stack, error.stack);
+      assert.strictEqual(errors[0].requestId, 'req-1');
+    });
+
+    it('returns an HTML error for browsers', async () => {
+      const res = await createErrorResponse(new Error('boom'), request('text/html,*/*'), {
+        context: context([]),
+        requestId: '<id>',
+      });
+      assert.strictEqual(res.headers.get('content-type'), 'text/html; charset=utf-8');
+      const body = await res.text();
+      assert.ok(body.includes('<code>&lt;id&gt;</code>'), body);
+      assert.ok(!body.includes('boom'));
+    });
+
+    it('uses the custom error renderer', async () => {
+      const ctx = context([]);
+      const res = await createErrorResponse(new Error('boom'), request(), {
+        context: ctx,
+        renderError: (err, req, c) => {
+          assert.strictEqual(c, ctx);
+          return new Response(`custom: ${err.message}`, { status: 503 });
+        },
+      });
+      assert.strictEqual(res.status, 503);
+      assert.strictEqual(await res.text(), 'custom: boom');
+    });
+
+    it('falls back to the default response if the renderer fails', async () => {
+      const errors = [];
+      const res = await createErrorResponse(new Error('boom'), request(), {
+        context: context(errors),
+        renderError: () => {
+          throw new Error('renderer broken');
+        },
+      });
+      assert.strictEqual(res.status, 500);
+      assert.strictEqual(errors[1].message, 'Error renderer failed: renderer broken');
+    });
+
+    it('handles thrown values that are not errors', async () => {
+      for (const [value, message] of [[undefined, 'undefined'], [null, 'null'], ['boom', 'boom']]) {
+        const errors = [];
+        let rendered;
+        // eslint-disable-next-line no-await-in-loop
+        const res = await createErrorResponse(value, request(), {
+          context: context(errors),
+          requestId: 'req-1',
+          renderError: (err) => {
+            rendered = err;
+          },
+        });
+        assert.strictEqual(res.status, 500);
+        assert.strictEqual(res.headers.get('x-error'), message);
+        assert.strictEqual(errors[0].message, `Unhandled error: ${message}`);
+        assert.strictEqual(errors[0].error, 'Error');
+        assert.ok(rendered instanceof Error);
+      }
+    });
+
+    it('logs to the console without context', async () => {
+      const logs = [];
+      const originalError = console.error;
+      console.error = (msg) => logs.push(msg);
+      try {
+        const res = await createErrorResponse(new Error('boom'), request());
+        assert.strictEqual(res.status, 500);
+        assert.strictEqual(JSON.parse(logs[0]).message, 'Unhandled error: boom');
+      } finally {
+        console.error = originalError;
+      }
+    });
+  });
 });
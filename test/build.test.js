@@ -17,6 +17,7 @@ import path from 'path';
 import yauzl from 'yauzl';
 import fse from 'fs-extra';
 import { CLI } from '@adobe/helix-deploy';
+import { getBundleHashFile } from '../src/deployment-info.js';
 import { createTestRoot } from './utils.js';
 
 async function assertZipEntries(zipPath, entries) {
@@ -86,6 +87,13 @@ describe('Edge Build Test', () => {
 
     await builder.run();
 
+    const bundle = await fse.readFile(builder.cfg.edgeBundle, 'utf-8');
+    assert.ok(bundle.includes('"package": "default"'), 'bundle must include the build info');
+    assert.ok(bundle.includes('"fullName": "default--simple-project"'), 'bundle must include the build info');
+
+    const moduleSizes = await fse.readJson(path.resolve(path.dirname(builder.cfg.edgeBundle), 'simple-project-module-sizes.json'));
+    assert.ok(moduleSizes.some((m) => m.name.endsWith('src/index.js')), 'module sizes must include the action');
+
     await assertZipEntries(path.resolve(testRoot, 'dist', 'default', 'simple-project.zip'), [
       'index.js',
       'package.json',
@@ -136,4 +144,37 @@ describe('Edge Build Test', () => {
     */
   })
     .timeout(50000);
+
+  it('produces the same build hash for repeated builds', async () => {
+    process.chdir(testRoot);
+    const build = async () => {
+      const builder = await new CLI()
+        .prepare([
+          '--target', 'cloudflare',
+          '--plugin', path.resolve(__rootdir, 'src', 'index.js'),
+          '--bundler', 'webpack',
+          '--esm', 'false',
+          '--arch', 'edge',
+          '--directory', testRoot,
+          '--entryFile', 'src/index.js',
+        ]);
+      await builder.run();
+      return {
+        source: await fse.readFile(builder.cfg.edgeBundle, 'utf-8'),
+        hash: await fse.readFile(getBundleHashFile(builder.cfg), 'utf-8'),
+        updatedAt: builder.cfg.updatedAt,
+      };
+    };
+
+    const first = await build();
+    await new Promise((resolve) => {
+      setTimeout(resolve, 10);
+    });
+    const second = await build();
+    assert.notStrictEqual(first.updatedAt, second.updatedAt);
+    assert.notStrictEqual(first.source, second.source, 'the bundles must contain the build time');
+    assert.match(first.hash, /^[0-9a-f]{64}$/);
+    assert.strictEqual(first.hash, second.hash);
+  })
+    .timeout(50000);
 });
@@ -16,12 +16,14 @@ import assert from 'assert';
 
 describe('CacheOverride Polyfill Tests', () => {
   let CacheOverride;
+  let ttlForStatus;
 
   before(async () => {
     // Import the module once
     const modulePath = '../src/template/polyfills/fetch.js';
     const module = await import(modulePath);
     CacheOverride = module.CacheOverride;
+    ttlForStatus = module.ttlForStatus;
   });
 
   afterEach(() => {
@@ -131,7 +133,7 @@ describe('CacheOverride Polyfill Tests', () => {
       // eslint-disable-next-line no-console
       console.warn = (msg) => warnings.push(msg);
 
-      const override = new CacheOverride({ ttl: 3600, swr: 86400, pci: true });
+      const override = new CacheOverride({ ttl: 3600, swr: 86400, vary: 'accept' });
 
       // Restore console.warn
       // eslint-disable-next-line no-console
@@ -139,13 +141,34 @@ describe('CacheOverride Polyfill Tests', () => {
 
       // Should have warned about unsupported options
       assert.strictEqual(warnings.length, 1);
-      assert.ok(warnings[0].includes('swr'));
-      assert.ok(warnings[0].includes('pci'));
+      assert.ok(warnings[0].includes('vary'));
+      assert.ok(!warnings[0].includes('swr'));
 
       // Only supported options should be stored
       assert.strictEqual(override.options.ttl, 3600);
-      assert.strictEqual(override.options.swr, undefined);
-      assert.strictEqual(override.options.pci, undefined);
+      assert.strictEqual(override.options.swr, 86400);
+      assert.strictEqual(override.options.vary, undefined);
+    });
+
+    it('does not cache pci responses', () => {
+      const override = new CacheOverride({ ttl: 3600, pci: true });
+      assert.deepStrictEqual(override.toCloudflareOptions(), { cacheTtl: 0 });
+    });
+
+    it('passes cacheTtlByStatus and cacheEverything', () => {
+      const override = new CacheOverride({
+        cacheTtlByStatus: { '200-299': 3600, 404: 60, '500-599': -1 },
+        cacheEverything: true,
+      });
+      assert.deepStrictEqual(override.toCloudflareOptions(), {
+        cacheTtlByStatus: { '200-299': 3600, 404: 60, '500-599': -1 },
+        cacheEverything: true,
+      });
+    });
+
+    it('ignores swr and staleIfError', () => {
+      const override = new CacheOverride({ ttl: 60, swr: 600, staleIfError: 86400 });
+      assert.deepStrictEqual(override.toCloudflareOptions(), { cacheTtl: 60 });
     });
 
     it('returns undefined when no options are set', () => {
@@ -169,6 +192,64 @@ describe('CacheOverride Polyfill Tests', () => {
     });
   });
 
+  describe('ttlForStatus', () => {
+    it('matches status codes and ranges', () => {
+      const ttls = { '200-299': 3600, 404: 60 };
+      assert.strictEqual(ttlForStatus(ttls, 200), 3600);
+      assert.strictEqual(ttlForStatus(ttls, 299), 3600);
+      assert.strictEqual(ttlForStatus(ttls, 404), 60);
+      assert.strictEqual(ttlForStatus(ttls, 500), undefined);
+    });
+  });
+
+  describe('Fastly Platform - toFastlyOptions', () => {
+    it('passes the native options', () => {
+      const beforeSend = () => {};
+      const afterSend = () => {};
+      const override = new CacheOverride({
+        ttl: 60, swr: 600, pci: true, surrogateKey: 'a b', beforeSend, afterSend, cacheEverything: true,
+      });
+      assert.deepStrictEqual(override.toFastlyOptions(), {
+        ttl: 60, swr: 600, pci: true, surrogateKey: 'a b', beforeSend, afterSend,
+      });
+    });
+
+    it('applies cacheTtlByStatus in afterSend', async () => {
+      const override = new CacheOverride({
+        cacheTtlByStatus: { '200-299': 3600, 404: 60, '500-599': -1 },
+      });
+      const { afterSend } = override.toFastlyOptions();
+
+      const ok = { status: 204, headers: new Headers() };
+      assert.strictEqual(await afterSend(ok), undefined);
+      assert.strictEqual(ok.ttl, 3600);
+
+      const notFound = { status: 404, headers: new Headers() };
+      await afterSend(notFound);
+      assert.strictEqual(notFound.ttl, 60);
+
+      const error = { status: 503, headers: new Headers() };
+      assert.deepStrictEqual(await afterSend(error), { cache: false });
+      assert.strictEqual(error.ttl, undefined);
+    });
+
+    it('applies staleIfError in afterSend and calls the hook', async () => {
+      const calls = [];
+      const override = new CacheOverride({
+        staleIfError: 86400,
+        afterSend: (response) => {
+          calls.push(response.headers.get('cache-control'));
+          return { cache: true };
+        },
+      });
+      const { afterSend } = override.toFastlyOptions();
+
+      const response = { status: 200, headers: new Headers({ 'cache-control': 'max-age=60' }) };
+      assert.deepStrictEqual(await afterSend(response), { cache: true });
+      assert.deepStrictEqual(calls, ['max-age=60, stale-if-error=86400']);
+    });
+  });
+
   describe('Fetch Wrapper - Basic Functionality', () => {
     it('CacheOverride provides toCloudflareOptions method', () => {
       const override = new CacheOverride({ ttl: 3600 });
@@ -0,0 +1,89 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import {
+  createCloudflareCache,
+  createFastlyCache,
+} from '../src/template/polyfills/cache.js';
+
+/**
+ * In-memory stand-in for a Cloudflare Cache API cache.
+ */
+function createCacheStub() {
+  const responses = new Map();
+  return {
+    responses,
+    match: async (request) => responses.get(request.url)?.clone(),
+    put: async (request, response) => {
+      responses.set(request.url, response);
+    },
+    delete: async (request) => responses.delete(request.url),
+  };
+}
+
+describe('Cache Test', () => {
+  describe('Cloudflare', () => {
+    it('stores the value with ttl and cache tags', async () => {
+      const stub = createCacheStub();
+      const cache = createCloudflareCache(stub);
+      await cache.put('fragments/nav bar', '<nav></nav>', { ttl: 120, surrogateKeys: ['a', 'b'] });
+
+      const stored = stub.responses.get('https://edge-cache.internal/fragments%2Fnav%20bar');
+      assert.strictEqual(stored.headers.get('cache-control'), 'max-age=120');
+      assert.strictEqual(stored.headers.get('cache-tag'), 'a,b');
+
+      const res = await cache.match('fragments/nav bar');
+      assert.strictEqual(await res.text(), '<nav></nav>');
+    });
+
+    it('keeps the status and headers of cached responses', async () => {
+      const cache = createCloudflareCache(createCacheStub());
+      await cache.put('token', new Response('{}', {
+        status: 203,
+        headers: { 'content-type': 'application/json', 'cache-control': 'no-store' },
+      }), { ttl: 60 });
+
+      const res = await cache.match('token');
+      assert.strictEqual(res.status, 203);
+      assert.strictEqual(res.headers.get('content-type'), 'application/json');
+      assert.strictEqual(res.headers.get('cache-control'), 'max-age=60');
+      assert.strictEqual(res.headers.has('cache-tag'), false);
+    });
+
+    it('returns null for missing and deleted keys', async () => {
+      const cache = createCloudflareCache(createCacheStub());
+      assert.strictEqual(await cache.match('missing'), null);
+      await cache.put('key', 'value', { ttl: 60 });
+      await cache.delete('key');
+      assert.strictEqual(await cache.match('key'), null);
+    });
+
+    it('rejects values without ttl', async () => {
+      const cache = createCloudflareCache(createCacheStub());
+      await assert.rejects(cache.put('key', 'value'), /needs a ttl in seconds/);
+      await assert.rejects(cache.put('key', 'value', { ttl: 0 }), /needs a ttl in seconds/);
+    });
+  });
+
+  describe('Fastly', () => {
+    it('rejects values without ttl', async () => {
+      await assert.rejects(createFastlyCache().put('key', 'value'), /needs a ttl in seconds/);
+    });
+
+    it('rejects outside of the fastly environment', async () => {
+      await assert.rejects(createFastlyCache().match('key'));
+    });
+  });
+});
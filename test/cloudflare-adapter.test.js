@@ -13,22 +13,9 @@
 /* eslint-env mocha */
 
 import assert from 'assert';
-import adapter, { handleRequest } from '../src/template/cloudflare-adapter.js';
+import { handleRequest, handleScheduled } from '../src/template/cloudflare-adapter.js';
 
 describe('Cloudflare Adapter Test', () => {
-  it('returns the request handler in a cloudflare environment', () => {
-    try {
-      global.caches = { default: new Map() };
-      assert.strictEqual(adapter(), handleRequest);
-    } finally {
-      delete global.caches;
-    }
-  });
-
-  it('returns null in a non-cloudflare environment', () => {
-    assert.strictEqual(adapter(), null);
-  });
-
   it('creates context with all log level methods', async () => {
     const logs = [];
     const originalLog = console.log;
@@ -60,7 +47,7 @@ describe('Cloudflare Adapter Test', () => {
       // Mock the main module
       global.require = () => ({ main: mockMain });
 
-      await handleRequest({ request });
+      await handleRequest(request);
 
       // Verify log was emitted in tab-separated format
       assert.strictEqual(logs.length, 1);
@@ -98,7 +85,7 @@ describe('Cloudflare Adapter Test', () => {
 
       global.require = () => ({ main: mockMain });
 
-      await handleRequest({ request });
+      await handleRequest(request);
 
       // Verify two logs emitted (one per target) in tab-separated format
       assert.strictEqual(logs.length, 2);
@@ -121,4 +108,217 @@ describe('Cloudflare Adapter Test', () => {
       delete global.require;
     }
   });
+
+  it('exposes the env bindings on context.env', async () => {
+    try {
+      const request = {
+        url: 'https://example.com/test',
+        cf: { colo: 'ZRH' },
+      };
+      const ctx = { waitUntil: () => {} };
+
+      let env;
+      let invocation;
+      global.require = () => ({
+        main: (req, context) => {
+          env = context.env;
+          invocation = context.invocation;
+          return new Response('ok');
+        },
+      });
+
+      await handleRequest(request, { FOO: 'bar' }, ctx);
+
+      assert.strictEqual(env.FOO, 'bar');
+      assert.strictEqual(invocation.executionContext, ctx);
+    } finally {
+      delete global.require;
+    }
+  });
+
+  it('falls back to the PACKAGE namespace for package params', async () => {
+    try {
+      const request = {
+        url: 'https://example.com/test',
+        cf: { colo: 'ZRH' },
+      };
+      const PACKAGE = {
+        get: async (key) => `package-${key}`,
+      };
+
+      let value;
+      global.require = () => ({
+        main: async (req, context) => {
+          value = await context.env.HEY;
+          return new Response('ok');
+        },
+      });
+
+      await handleRequest(request, { PACKAGE });
+
+      assert.strictEqual(value, 'package-HEY');
+    } finally {
+      delete global.require;
+    }
+  });
+
+  it('maps context.waitUntil to the execution context', async () => {
+    try {
+      const request = {
+        url: 'https://example.com/test',
+        cf: { colo: 'ZRH' },
+      };
+      const pending = [];
+      const ctx = { waitUntil: (p) => pending.push(p) };
+
+      const work = Promise.resolve('done');
+      global.require = () => ({
+        main: (req, context) => {
+          context.waitUntil(work);
+          return new Response('ok');
+        },
+      });
+
+      await handleRequest(request, {}, ctx);
+
+      assert.deepStrictEqual(pending, [work]);
+    } finally {
+      delete global.require;
+    }
+  });
+
+  it('passes scheduled events to the scheduled handler of the action', async () => {
+    try {
+      const controller = { cron: '*/30 * * * *', scheduledTime: 1700000000000 };
+      let invoked;
+      global.require = () => ({
+        main: () => assert.fail('main should not be called'),
+        scheduled: async (event, context) => {
+          invoked = { event, invocation: context.invocation, secret: context.env.SECRET };
+        },
+      });
+
+      await handleScheduled(controller, { SECRET: 'shh' }, {});
+
+      assert.strictEqual(invoked.event, controller);
+      assert.strictEqual(invoked.secret, 'shh');
+      assert.strictEqual(invoked.invocation.deadline, 1700000000000 + 15 * 60 * 1000);
+      assert.deepStrictEqual(invoked.invocation.scheduled, {
+        cron: '*/30 * * * *',
+        scheduledTime: 1700000000000,
+      });
+    } finally {
+      delete global.require;
+    }
+  });
+
+  it('ignores scheduled events if the action has no scheduled handler', async () => {
+    const logs = [];
+    const originalLog = console.log;
+    console.log = (msg) => logs.push(msg);
+    try {
+      global.require = () => ({ main: () => assert.fail('main should not be called') });
+
+      await handleScheduled({ cron: '0 * * * *', scheduledTime: 0 });
+
+      assert.strictEqual(logs.length, 1);
+      const [, level, body] = logs[0].split('\t');
+      assert.strictEqual(level, 'info');
+      assert.strictEqual(JSON.parse(body).message, 'No scheduled handler exported, ignoring cron trigger');
+      assert.strictEqual(JSON.parse(body).cron, '0 * * * *');
+    } finally {
+      console.log = originalLog;
+      delete global.require;
+    }
+  });
+
+  it('logs and rethrows errors of the scheduled handler', async () => {
+    const logs = [];
+    const originalLog = console.log;
+    console.log = (msg) => logs.push(msg);
+    try {
+      global.require = () => ({
+        scheduled: async () => {
+          throw new Error('cron failed');
+        },
+      });
+
+      await assert.rejects(handleScheduled({ cron: '0 * * * *', scheduledTime: 0 }), /cron failed/);
+
+      assert.strictEqual(logs.length, 1);
+      const [, level, body] = logs[0].split('\t');
+      assert.strictEqual(level, 'error');
+      const entry = JSON.parse(body);
+      assert.strictEqual(entry.message, 'Scheduled handler failed: cron failed');
+      assert.strictEqual(entry.cron, '0 * * * *');
+      assert.ok(entry.stack.includes('cron failed'));
+    } finally {
+      console.log = originalLog;
+      delete global.require;
+    }
+  });
+
+  it('returns a structured error response if the action fails', async () => {
+    const logs = [];
+    const originalLog = console.log;
+    console.log = (msg) => logs.push(msg);
+    try {
+      global.require = () => ({
+        main: () => {
+          throw new Error('boom');
+        },
+      });
+
+      const response = await handleRequest({
+        url: 'https://example.com/test',
+        cf: { colo: 'ZRH' },
+        headers: new Headers({ 'cf-ray': 'ray-1', accept: 'application/json' }),
+      });
+
+      assert.strictEqual(response.status, 500);
+      assert.strictEqual(response.headers.get('x-error'), 'boom');
+      assert.deepStrictEqual(await response.json(), {
+        status: 500,
+        error: 'Internal Server Error',
+        requestId: 'ray-1',
+      });
+      const [, level, body] = logs[0].split('\t');
+      assert.strictEqual(level, 'error');
+      assert.strictEqual(JSON.parse(body).requestId, 'ray-1');
+    } finally {
+      console.log = originalLog;
+      delete global.require;
+    }
+  });
+
+  it('fills the invocation and function metadata', async () => {
+    try {
+      let invoked;
+      global.require = () => ({
+        main: (req, context) => {
+          invoked = context;
+          return new Response('ok');
+        },
+      });
+
+      const before = Date.now();
+      await handleRequest({
+        url: 'https://example.com/test',
+        cf: { colo: 'ZRH' },
+        headers: new Headers({ 'cf-ray': 'ray-2' }),
+      });
+
+      assert.strictEqual(invoked.invocation.id, 'ray-2');
+      assert.strictEqual(invoked.invocation.requestId, 'ray-2');
+      assert.ok(invoked.invocation.deadline >= before + 30000);
+      // the unbundled build info has no metadata
+      assert.deepStrictEqual(invoked.func.build, {
+        version: null,
+        gitRef: null,
+        updatedAt: null,
+      });
+    } finally {
+      delete global.require;
+    }
+  });
 });
@@ -0,0 +1,207 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import path from 'path';
+import nock from 'nock';
+import CloudflareDeployer from '../src/CloudflareDeployer.js';
+import CloudflareConfig from '../src/CloudflareConfig.js';
+import { TestLogger } from './utils.js';
+
+function createDeployer(argv = {}) {
+  const cfg = new CloudflareConfig().configure({
+    cloudflareAccountId: '123',
+    cloudflareAuth: 'test-token',
+    ...argv,
+  });
+  return new CloudflareDeployer({
+    log: new TestLogger(),
+    packageName: 'pkg',
+    name: 'action',
+    edgeBundle: '/tmp/edge-bundle.js',
+  }, cfg);
+}
+
+const SCRIPT = '/client/v4/accounts/123/workers/scripts/pkg--action';
+
+describe('Cloudflare Deployer Test', () => {
+  let deployer;
+
+  afterEach(async () => {
+    await deployer?.close();
+    nock.cleanAll();
+  });
+
+  it('annotates the deployment with the build metadata', async () => {
+    deployer = createDeployer();
+    Object.assign(deployer.cfg, {
+      edgeBundle: path.resolve(__rootdir, 'test', 'fixtures', 'cf-worker', 'index.js'),
+      version: '1.2.3',
+      gitRef: '0123456789abcdef0123',
+      params: {},
+      packageParams: {},
+    });
+    let body;
+    nock('https://api.cloudflare.com')
+      .get(`${SCRIPT}/script-settings`)
+      .reply(404, { success: false })
+      .post('/client/v4/accounts/123/storage/kv/namespaces')
+      .reply(200, { success: true, result: { id: 'ns-1', title: 'pkg--secrets' } })
+      .put(SCRIPT, (b) => {
+        body = b;
+        return true;
+      })
+      .reply(200, { success: true, result: {} })
+      .put(`${SCRIPT}/schedules`, [])
+      .reply(200, { success: true, result: {} })
+      .post(`${SCRIPT}/subdomain`)
+      .reply(200, { success: true, result: {} });
+
+    await deployer.deploy();
+    const metadata = JSON.parse(body.match(/\{"main_module".*\}/)[0]);
+    const message = metadata.annotations['workers/message'];
+    assert.match(message, /^pkg\/action@1\.2\.3 \(0123456789ab\) deployed at \d{4}-/);
+    assert.strictEqual(metadata.annotations['workers/tag'], '1.2.3');
+    assert.ok(deployer.log.output.includes(`deployed ${message}`));
+  });
+
+  it('rejects scripts over the size limit before uploading', async () => {
+    deployer = createDeployer({ cloudflareScriptLimit: 0 });
+    deployer.cfg.edgeBundle = path.resolve(__rootdir, 'test', 'fixtures', 'cf-worker', 'index.js');
+
+    await assert.rejects(deployer.deploy(), /Cloudflare worker script size .* exceeds the limit of 0 B/);
+    assert.ok(nock.isDone());
+  });
+
+  it('registers the cron schedules', async () => {
+    deployer = createDeployer({ cloudflareCron: ['*/30 * * * *', '0 3 * * *'] });
+    let body;
+    nock('https://api.cloudflare.com')
+      .put('/client/v4/accounts/123/workers/scripts/pkg--action/schedules', (b) => {
+        body = b;
+        return true;
+      })
+      .reply(200, { success: true, result: {} });
+
+    await deployer.updateSchedules();
+    assert.deepStrictEqual(body, [{ cron: '*/30 * * * *' }, { cron: '0 3 * * *' }]);
+  });
+
+  it('clears the cron schedules without cron option', async () => {
+    deployer = createDeployer();
+    let body;
+    nock('https://api.cloudflare.com')
+      .put('/client/v4/accounts/123/workers/scripts/pkg--action/schedules', (b) => {
+        body = b;
+        return true;
+      })
+      .reply(200, { success: true, result: {} });
+
+    await deployer.updateSchedules();
+    assert.deepStrictEqual(body, []);
+    assert.ok(nock.isDone());
+    assert.ok(!deployer.log.output.includes('registered cron schedules'));
+  });
+
+  it('reports invalid cron schedules', async () => {
+    deployer = createDeployer({ cloudflareCron: ['invalid'] });
+    nock('https://api.cloudflare.com')
+      .put('/client/v4/accounts/123/workers/scripts/pkg--action/schedules')
+      .reply(400, { success: false, errors: [{ message: 'invalid cron string' }] });
+
+    await assert.rejects(
+      deployer.updateSchedules(),
+      /Unable to register cron schedules: invalid cron string/,
+    );
+  });
+
+  function nockVersions(scope) {
+    return scope
+      .get(`${SCRIPT}/deployments`)
+      .reply(200, {
+        success: true,
+        result: {
+          deployments: [
+            { id: 'd1', created_on: '2025-01-01T00:00:00Z', versions: [{ version_id: 'v1', percentage: 100 }] },
+            { id: 'd3', created_on: '2025-01-03T00:00:00Z', versions: [{ version_id: 'v3', percentage: 100 }] },
+            { id: 'd2', created_on: '2025-01-02T00:00:00Z', versions: [{ version_id: 'v2', percentage: 100 }] },
+          ],
+        },
+      });
+  }
+
+  it('rolls back to the previously deployed version', async () => {
+    deployer = createDeployer({ cloudflareRollback: '' });
+    let body;
+    nockVersions(nock('https://api.cloudflare.com'))
+      .post(`${SCRIPT}/deployments`, (b) => {
+        body = b;
+        return true;
+      })
+      .reply(200, { success: true, result: {} });
+
+    deployer.cfg.build = true;
+    await deployer.validateAdditionalTasks();
+    assert.strictEqual(deployer.cfg.build, false);
+    await deployer.runAdditionalTasks();
+    assert.deepStrictEqual(body, {
+      strategy: 'percentage',
+      versions: [{ version_id: 'v2', percentage: 100 }],
+      annotations: { 'workers/message': 'Rollback from v3 to v2' },
+    });
+  });
+
+  it('rolls back to the given version number', async () => {
+    deployer = createDeployer({ cloudflareRollback: '1' });
+    let body;
+    nockVersions(nock('https://api.cloudflare.com'))
+      .get(`${SCRIPT}/versions`)
+      .reply(200, {
+        success: true,
+        result: { items: [{ id: 'v1', number: 1 }, { id: 'v2', number: 2 }, { id: 'v3', number: 3 }] },
+      })
+      .post(`${SCRIPT}/deployments`, (b) => {
+        body = b;
+        return true;
+      })
+      .reply(200, { success: true, result: {} });
+
+    await deployer.runAdditionalTasks();
+    assert.deepStrictEqual(body.versions, [{ version_id: 'v1', percentage: 100 }]);
+  });
+
+  it('lists the recent versions', async () => {
+    deployer = createDeployer({ cloudflareListVersions: true });
+    nockVersions(nock('https://api.cloudflare.com'))
+      .get(`${SCRIPT}/versions`)
+      .reply(200, {
+        success: true,
+        result: { items: [{ id: 'v2', number: 2 }, { id: 'v3', number: 3 }] },
+      });
+
+    await deployer.runAdditionalTasks();
+    assert.match(deployer.log.output, /3 v3 deployed[\s\S]*2 v2/);
+  });
+
+  it('reports failed API requests', async () => {
+    deployer = createDeployer({ cloudflareRollback: '' });
+    nock('https://api.cloudflare.com')
+      .get(`${SCRIPT}/deployments`)
+      .reply(403, { success: false, errors: [{ message: 'forbidden' }] });
+
+    await assert.rejects(
+      deployer.runAdditionalTasks(),
+      /Cloudflare API request GET \/workers\/scripts\/pkg--action\/deployments failed: forbidden/,
+    );
+  });
+});
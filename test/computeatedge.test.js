@@ -0,0 +1,564 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint-disable no-underscore-dangle */
+import assert from 'assert';
+import fs from 'fs/promises';
+import path from 'path';
+import nock from 'nock';
+import ComputeAtEdgeDeployer from '../src/ComputeAtEdgeDeployer.js';
+import ComputeAtEdgeConfig from '../src/ComputeAtEdgeConfig.js';
+import { createTestRoot, TestLogger } from './utils.js';
+
+function createDeployer(argv = {}) {
+  const cfg = new ComputeAtEdgeConfig().configure({
+    computeServiceId: 'service-1',
+    fastlyAuth: 'fake-auth',
+    ...argv,
+  });
+  return new ComputeAtEdgeDeployer({
+    log: new TestLogger(),
+    packageName: 'pkg',
+    name: 'action',
+    edgeBundle: '/tmp/edge-bundle.js',
+  }, cfg);
+}
+
+describe('Compute@Edge Deployer Test', () => {
+  let deployer;
+
+  afterEach(async () => {
+    await deployer?.close();
+    nock.cleanAll();
+  });
+
+  it('uses the default compile options', async () => {
+    deployer = createDeployer();
+    const { httpCache, aot, highResolutionTimers } = deployer._cfg;
+    assert.deepStrictEqual({ httpCache, aot, highResolutionTimers }, {
+      httpCache: true, aot: true, highResolutionTimers: false,
+    });
+  });
+
+  it('passes the compile options to js-compute and records them in fastly.toml', async () => {
+    const testRoot = await createTestRoot();
+    try {
+      deployer = createDeployer({ computeAot: false, computeHighResolutionTimers: true });
+      deployer.cfg.edgeBundle = path.resolve(testRoot, 'action-edge-bundle.js');
+      await fs.writeFile(deployer.cfg.edgeBundle, 'export default {};');
+      let args;
+      deployer.compile = async (...compileArgs) => {
+        args = compileArgs;
+        await fs.mkdir(path.resolve(testRoot, 'bin'), { recursive: true });
+        await fs.writeFile(compileArgs[1], 'wasm');
+      };
+
+      const buf = await deployer.bundle();
+      assert.ok(buf.length > 0);
+      assert.deepStrictEqual(args.slice(3), [true, true, false, '', true, true]);
+      const toml = await fs.readFile(path.resolve(testRoot, 'fastly.toml'), 'utf-8');
+      assert.match(toml, /# http_cache = true\n# aot = false\n# high_resolution_timers = true\n/);
+    } finally {
+      await fs.rm(testRoot, { recursive: true, force: true });
+    }
+  });
+
+  it('configures the compile options', async () => {
+    deployer = createDeployer({ computeAot: false, computeHighResolutionTimers: true });
+    assert.strictEqual(deployer._cfg.aot, false);
+    assert.strictEqual(deployer._cfg.highResolutionTimers, true);
+  });
+
+  it('returns an existing store', async () => {
+    deployer = createDeployer();
+    nock('https://api.fastly.com')
+      .get('/resources/stores/kv?limit=200')
+      .reply(200, { data: [{ id: 'other', name: 'other' }], meta: { next_cursor: 'c1' } })
+      .get('/resources/stores/kv?limit=200&cursor=c1')
+      .reply(200, { data: [{ id: 'store-1', name: 'pkg--sessions' }], meta: {} });
+
+    const store = await deployer.ensureStore('kv', 'pkg--sessions');
+    assert.deepStrictEqual(store, { id: 'store-1', name: 'pkg--sessions' });
+  });
+
+  it('creates a missing store', async () => {
+    deployer = createDeployer();
+    let body;
+    nock('https://api.fastly.com')
+      .get('/resources/stores/kv?limit=200')
+      .reply(200, { data: [], meta: {} })
+      .post('/resources/stores/kv', (b) => {
+        body = b;
+        return true;
+      })
+      .reply(200, { id: 'store-2', name: 'pkg--sessions' });
+
+    const store = await deployer.ensureStore('kv', 'pkg--sessions');
+    assert.deepStrictEqual(store, { id: 'store-2', name: 'pkg--sessions' });
+    assert.deepStrictEqual(body, { name: 'pkg--sessions' });
+  });
+
+  it('links a resource to the service version', async () => {
+    deployer = createDeployer();
+    let body;
+    nock('https://api.fastly.com')
+      .get('/service/service-1/version/5/resource')
+      .reply(200, [{ name: 'other', resource_id: 'x' }])
+      .post('/service/service-1/version/5/resource', (b) => {
+        body = b;
+        return true;
+      })
+      .reply(200, {});
+
+    await deployer.linkResource(5, 'store-1', 'sessions');
+    assert.deepStrictEqual(body, { resource_id: 'store-1', name: 'sessions' });
+  });
+
+  it('does not link a resource twice', async () => {
+    deployer = createDeployer();
+    nock('https://api.fastly.com')
+      .get('/service/service-1/version/5/resource')
+      .reply(200, [{ name: 'sessions', resource_id: 'store-1' }]);
+
+    await deployer.linkResource(5, 'store-1', 'sessions');
+    assert.ok(nock.isDone());
+  });
+
+  it('uploads params to the secret store', async () => {
+    deployer = createDeployer({ computeSecretStore: 'pkg-secrets' });
+    deployer.cfg.params = { FOO: 'bar' };
+    deployer.cfg.packageToken = 'token';
+    const dictCalls = [];
+    deployer._fastly = {
+      bulkUpdateDictItems: async (...args) => dictCalls.push(['bulk', ...args]),
+      updateDictItem: async (version, dict, key) => dictCalls.push(['update', dict, key]),
+      discard: async () => {},
+    };
+    let body;
+    nock('https://api.fastly.com')
+      .get('/resources/stores/secret?limit=200')
+      .reply(200, { data: [{ id: 'secret-1', name: 'pkg-secrets' }], meta: {} })
+      .put('/resources/stores/secret/secret-1/secrets', (b) => {
+        body = b;
+        return true;
+      })
+      .reply(200, {});
+
+    await deployer.updatePackage();
+    assert.deepStrictEqual(body, { name: 'FOO', secret: Buffer.from('bar').toString('base64') });
+    assert.deepStrictEqual(dictCalls, [
+      ['update', 'secrets', '_token'],
+      ['update', 'secrets', '_package'],
+    ]);
+  });
+
+  it('uploads params to the secrets dictionary without secret store', async () => {
+    deployer = createDeployer();
+    deployer.cfg.params = { FOO: 'bar' };
+    const bulk = [];
+    deployer._fastly = {
+      bulkUpdateDictItems: async (version, dict, ...items) => bulk.push(...items),
+      updateDictItem: async () => {},
+      discard: async () => {},
+    };
+
+    await deployer.updatePackage();
+    assert.deepStrictEqual(bulk, [{ item_key: 'FOO', item_value: 'bar', op: 'update' }]);
+  });
+
+  it('waits until the activated version is served', async () => {
+    deployer = createDeployer({ computeTestDomain: 'test' });
+    deployer.pollInterval = 1;
+    nock('https://api.fastly.com')
+      .get('/service/service-1/version/5')
+      .reply(200, { number: 5, active: false })
+      .get('/service/service-1/version/5')
+      .reply(200, { number: 5, active: true });
+    nock('https://test.edgecompute.app')
+      .get('/')
+      .matchHeader('x-edge-rollout-probe', 'true')
+      .reply(200, 'ok', { 'x-edge-service-version': '4' })
+      .get('/')
+      .reply(503)
+      .get('/')
+      .reply(200, 'ok', { 'x-edge-service-version': '5' });
+
+    await deployer.waitForRollout(5);
+    assert.ok(nock.isDone());
+    assert.match(deployer.log.output, /service version 5 is served/);
+  });
+
+  it('only waits for the activation without test domain', async () => {
+    deployer = createDeployer();
+    nock('https://api.fastly.com')
+      .get('/service/service-1/version/5')
+      .reply(200, { number: 5, active: true });
+
+    await deployer.waitForRollout(5);
+    assert.match(deployer.log.output, /service version 5 is active/);
+  });
+
+  it('fails if the version is not activated in time', async () => {
+    deployer = createDeployer({ computeRolloutTimeout: 0 });
+    nock('https://api.fastly.com')
+      .get('/service/service-1/version/5')
+      .reply(200, { number: 5, active: false });
+
+    await assert.rejects(
+      deployer.waitForRollout(5),
+      /Service version 5 was not activated within 0 seconds/,
+    );
+  });
+
+  it('fails if the version is not served in time', async () => {
+    deployer = createDeployer({ computeTestDomain: 'test', computeRolloutTimeout: 0 });
+    nock('https://api.fastly.com')
+      .get('/service/service-1/version/5')
+      .reply(200, { number: 5, active: true });
+    nock('https://test.edgecompute.app')
+      .get('/')
+      .reply(200, 'ok', { 'x-edge-service-version': '4' });
+
+    await assert.rejects(
+      deployer.waitForRollout(5),
+      /Service version 5 was not served by https:\/\/test.edgecompute.app within 0 seconds/,
+    );
+  });
+
+  function stubFastly(calls) {
+    return {
+      transact: async (fn, activate) => {
+        calls.push(['transact', activate]);
+        return fn(7);
+      },
+      writePackage: async () => {},
+      writeDictionary: async () => {},
+      writeBackend: async () => {},
+      activateVersion: async (version) => calls.push(['activate', version]),
+      discard: async () => calls.push(['discard']),
+    };
+  }
+
+  it('stages a version without activating it', async () => {
+    deployer = createDeployer({ computeStaged: true });
+    deployer.bundle = async () => Buffer.from('wasm');
+    const calls = [];
+    deployer._fastly = stubFastly(calls);
+    nock('https://api.fastly.com')
+      .get('/service/service-1/version')
+      .reply(200, [])
+      .put('/service/service-1/version/7')
+      .reply(200, { number: 7 });
+
+    await deployer.deploy();
+    assert.deepStrictEqual(calls, [['transact', false], ['discard']]);
+    assert.match(deployer.log.output, /staged service version 7\. activate it with --compute-promote 7/);
+  });
+
+  it('tags the service version with the build metadata', async () => {
+    deployer = createDeployer({ computeStaged: true });
+    Object.assign(deployer.cfg, { version: '1.2.3', gitRef: '0123456789abcdef0123' });
+    deployer.computeBuildHash = async () => 'b'.repeat(64);
+    deployer.bundle = async () => Buffer.from('wasm');
+    deployer._fastly = stubFastly([]);
+    let body;
+    nock('https://api.fastly.com')
+      .get('/service/service-1/version')
+      .reply(200, [{ number: 6, active: true, comment: `pkg/action@1.2.2, build ${'a'.repeat(64)}` }])
+      .put('/service/service-1/version/7', (b) => {
+        body = b;
+        return true;
+      })
+      .reply(200, { number: 7 });
+
+    await deployer.deploy();
+    assert.match(body.comment, /^pkg\/action@1\.2\.3 \(0123456789ab\) deployed at \d{4}-.*, build b{64}$/);
+    assert.ok(deployer.log.output.includes(`service version 7: ${body.comment}`));
+  });
+
+  it('skips the upload if the active package is unchanged', async () => {
+    deployer = createDeployer();
+    const buildHash = 'c'.repeat(64);
+    deployer.computeBuildHash = async () => buildHash;
+    deployer.bundle = async () => assert.fail('unchanged packages must not be compiled');
+    deployer.cfg.params = { API_KEY: 'secret' };
+    const calls = [];
+    deployer._fastly = {
+      ...stubFastly(calls),
+      bulkUpdateDictItems: async (version, name, ...items) => calls.push(['params', name, items]),
+    };
+    nock('https://api.fastly.com')
+      .get('/service/service-1/version')
+      .reply(200, [
+        { number: 5, active: true, comment: `pkg/action@1.0.0 deployed at 2025-01-01, build ${buildHash}` },
+        { number: 6, active: false },
+      ]);
+
+    await deployer.deploy();
+    assert.deepStrictEqual(calls, [
+      ['params', 'secrets', [{ item_key: 'API_KEY', item_value: 'secret', op: 'update' }]],
+      ['discard'],
+    ]);
+    assert.match(deployer.log.output, /package unchanged, service version 5 is up to date/);
+  });
+
+  it('computes the build hash from the bundle hash and the options', async () => {
+    const testRoot = await createTestRoot();
+    try {
+      const hashOf = async (argv) => {
+        const d = createDeployer(argv);
+        d.cfg.edgeBundle = path.resolve(testRoot, 'action-edge-bundle.js');
+        return d.computeBuildHash();
+      };
+      assert.strictEqual(await hashOf(), null);
+      await fs.writeFile(path.resolve(testRoot, 'action-bundle-hash.txt'), 'd'.repeat(64));
+      const hash = await hashOf();
+      assert.match(hash, /^[0-9a-f]{64}$/);
+      assert.strictEqual(await hashOf(), hash);
+      assert.notStrictEqual(await hashOf({ computeAot: false }), hash);
+      assert.notStrictEqual(await hashOf({ kvStores: ['sessions'] }), hash);
+    } finally {
+      await fs.rm(testRoot, { recursive: true, force: true });
+    }
+  });
+
+  it('includes the deploy config in the build hash', async () => {
+    const a = createDeployer({ kvStores: ['sessions'] });
+    const b = createDeployer({ kvStores: ['sessions', 'cache'] });
+    deployer = a;
+    assert.notStrictEqual(a.configHash, b.configHash);
+    assert.strictEqual(a.configHash, createDeployer({ kvStores: ['sessions'] }).configHash);
+  });
+
+  it('provisions the logging endpoints', async () => {
+    deployer = createDeployer({
+      coralogixToken: 'cx-token',
+      computeLogEndpoint: [
+        '{"type":"syslog","name":"audit","address":"logs.example.com","port":514}',
+        { type: 's3', name: 'archive', bucket_name: 'logs' },
+      ],
+    });
+    const calls = [];
+    deployer._fastly = {
+      writeHttps: async (version, name, data) => calls.push(['https', version, name, data]),
+      writeSyslog: async (version, name, data) => calls.push(['syslog', version, name, data]),
+      writeS3: async (version, name, data) => calls.push(['s3', version, name, data]),
+    };
+
+    await deployer.enableLogging(7);
+    assert.deepStrictEqual(calls.map(([type, version, name]) => [type, version, name]), [
+      ['https', 7, 'coralogix'],
+      ['syslog', 7, 'audit'],
+      ['s3', 7, 'archive'],
+    ]);
+    assert.deepStrictEqual(calls[0][3], {
+      name: 'coralogix',
+      url: 'https://api.coralogix.com/logs/rest/singles',
+      request_max_bytes: 2000000,
+      content_type: 'application/json',
+      header_name: 'private_key',
+      header_value: 'cx-token',
+      json_format: '1',
+    });
+    assert.deepStrictEqual(calls[1][3], { name: 'audit', address: 'logs.example.com', port: 514 });
+  });
+
+  it('configures the coralogix format of the logger', async () => {
+    deployer = createDeployer({
+      computeStaged: true,
+      coralogixToken: 'cx-token',
+      computeCoralogixApp: 'my-app',
+      computeCoralogixLogger: 'cx',
+    });
+    deployer.bundle = async () => Buffer.from('wasm');
+    const calls = [];
+    deployer._fastly = {
+      ...stubFastly(calls),
+      writeHttps: async () => {},
+      updateDictItem: async (...args) => calls.push(['item', ...args]),
+    };
+    nock('https://api.fastly.com')
+      .get('/service/service-1/version')
+      .reply(200, [])
+      .put('/service/service-1/version/7')
+      .reply(200, { number: 7 });
+
+    await deployer.deploy();
+    assert.deepStrictEqual(calls[1], [
+      'item', 7, 'secrets', '_coralogix', '{"logger":"cx","applicationName":"my-app"}',
+    ]);
+  });
+
+  it('rejects unsupported logging endpoints', async () => {
+    assert.throws(
+      () => createDeployer({ computeLogEndpoint: [{ type: 'ftp', name: 'x' }] }),
+      /Unsupported logging endpoint type: ftp/,
+    );
+    assert.throws(
+      () => createDeployer({ computeLogEndpoint: [{ type: 'https' }] }),
+      /Logging endpoint needs a name/,
+    );
+  });
+
+  it('creates the configured backends', async () => {
+    deployer = createDeployer({
+      computeBackend: [
+        '{"name":"api","host":"api.example.com","firstByteTimeout":15000,"shield":"bwi-va-us"}',
+        {
+          name: 'legacy',
+          host: 'legacy.example.com',
+          tls: false,
+          healthcheck: { path: '/health', interval: 30000 },
+        },
+      ],
+    });
+    const calls = [];
+    deployer._fastly = {
+      writeBackend: async (version, name, data) => calls.push(['backend', version, name, data]),
+      writeHealthcheck: async (version, name, data) => calls.push(['healthcheck', version, name, data]),
+    };
+
+    await deployer.writeBackends(7);
+    assert.deepStrictEqual(calls.map(([type, version, name]) => [type, version, name]), [
+      ['backend', 7, 'api'],
+      ['healthcheck', 7, 'legacy-healthcheck'],
+      ['backend', 7, 'legacy'],
+    ]);
+    assert.deepStrictEqual(calls[0][3], {
+      name: 'api',
+      address: 'api.example.com',
+      hostname: 'api.example.com',
+      override_host: 'api.example.com',
+      port: 443,
+      use_ssl: true,
+      ssl_cert_hostname: 'api.example.com',
+      ssl_sni_hostname: 'api.example.com',
+      connect_timeout: 5000,
+      first_byte_timeout: 15000,
+      between_bytes_timeout: 10000,
+      max_conn: 200,
+      shield: 'bwi-va-us',
+      error_threshold: 0,
+      weight: 100,
+    });
+    assert.strictEqual(calls[1][3].path, '/health');
+    assert.strictEqual(calls[1][3].check_interval, 30000);
+    assert.strictEqual(calls[1][3].host, 'legacy.example.com');
+    assert.strictEqual(calls[2][3].port, 80);
+    assert.strictEqual(calls[2][3].use_ssl, false);
+    assert.strictEqual(calls[2][3].healthcheck, 'legacy-healthcheck');
+  });
+
+  it('rejects invalid backends', async () => {
+    assert.throws(
+      () => createDeployer({ computeBackend: [{ name: 'api' }] }),
+      /Backend needs a name and a host/,
+    );
+    assert.throws(
+      () => createDeployer({ computeBackend: [{ name: 'gateway', host: 'example.com' }] }),
+      /Backend name "gateway" is reserved/,
+    );
+  });
+
+  it('promotes a staged version', async () => {
+    deployer = createDeployer({ computePromote: 7 });
+    const calls = [];
+    deployer._fastly = stubFastly(calls);
+    nock('https://api.fastly.com')
+      .get('/service/service-1/version/7')
+      .reply(200, { number: 7, active: true });
+
+    deployer.cfg.build = true;
+    await deployer.validateAdditionalTasks();
+    assert.strictEqual(deployer.cfg.build, false);
+
+    await deployer.runAdditionalTasks();
+    assert.deepStrictEqual(calls, [['activate', 7], ['discard']]);
+  });
+
+  it('rolls back to the previously active version', async () => {
+    deployer = createDeployer({ computeRollback: '' });
+    const calls = [];
+    deployer._fastly = stubFastly(calls);
+    nock('https://api.fastly.com')
+      .get('/service/service-1/version')
+      .reply(200, [
+        { number: 4, locked: true, active: false },
+        { number: 5, locked: true, active: false },
+        { number: 6, locked: true, active: true },
+        { number: 7, locked: false, active: false },
+      ])
+      .get('/service/service-1/version/5')
+      .reply(200, { number: 5, active: true });
+
+    await deployer.validateAdditionalTasks();
+    await deployer.runAdditionalTasks();
+    assert.deepStrictEqual(calls, [['activate', 5], ['discard']]);
+    assert.match(deployer.log.output, /rolling back from version 6 to 5/);
+  });
+
+  it('rolls back to the given version', async () => {
+    deployer = createDeployer({ computeRollback: '4' });
+    const calls = [];
+    deployer._fastly = stubFastly(calls);
+    nock('https://api.fastly.com')
+      .get('/service/service-1/version')
+      .reply(200, [
+        { number: 4, locked: true, active: false },
+        { number: 5, locked: true, active: true },
+      ])
+      .get('/service/service-1/version/4')
+      .reply(200, { number: 4, active: true });
+
+    await deployer.runAdditionalTasks();
+    assert.deepStrictEqual(calls, [['activate', 4], ['discard']]);
+  });
+
+  it('fails to roll back to an unknown version', async () => {
+    deployer = createDeployer({ computeRollback: '9' });
+    nock('https://api.fastly.com')
+      .get('/service/service-1/version')
+      .reply(200, [{ number: 5, locked: true, active: true }]);
+
+    await assert.rejects(deployer.runAdditionalTasks(), /Service version 9 does not exist/);
+  });
+
+  it('lists the recent versions', async () => {
+    deployer = createDeployer({ computeListVersions: true });
+    nock('https://api.fastly.com')
+      .get('/service/service-1/version')
+      .reply(200, [
+        { number: 1, locked: true, active: false },
+        { number: 2, locked: true, active: true },
+        { number: 3, locked: false, active: false },
+      ]);
+
+    deployer.cfg.build = true;
+    await deployer.validateAdditionalTasks();
+    assert.strictEqual(deployer.cfg.build, false);
+    await deployer.runAdditionalTasks();
+    assert.match(deployer.log.output, /3 draft[\s\S]*2 active[\s\S]*1 locked/);
+  });
+
+  it('reports failed API requests', async () => {
+    deployer = createDeployer();
+    nock('https://api.fastly.com')
+      .get('/resources/stores/kv?limit=200')
+      .reply(401, 'unauthorized');
+
+    await assert.rejects(
+      deployer.ensureStore('kv', 'pkg--sessions'),
+      /Fastly API request GET \/resources\/stores\/kv\?limit=200 failed: 401 unauthorized/,
+    );
+  });
+});
@@ -18,6 +18,7 @@ import {
   enrichLogData,
   createCloudflareLogger,
   createFastlyLogger,
+  toCoralogixEntry,
 } from '../src/template/context-logger.js';
 
 describe('Context Logger Test', () => {
@@ -250,6 +251,30 @@ describe('Context Logger Test', () => {
     });
   });
 
+  describe('toCoralogixEntry', () => {
+    it('wraps the entry with application, subsystem and severity', () => {
+      const data = {
+        timestamp: '2025-01-01T00:00:00.000Z',
+        level: 'warn',
+        functionName: 'my-action',
+        message: 'slow',
+      };
+      assert.deepStrictEqual(toCoralogixEntry(data, { applicationName: 'my-app' }), {
+        applicationName: 'my-app',
+        subsystemName: 'my-action',
+        timestamp: 1735689600000,
+        severity: 4,
+        text: JSON.stringify(data),
+      });
+    });
+
+    it('uses defaults for missing function name and unknown levels', () => {
+      const entry = toCoralogixEntry({ timestamp: '2025-01-01T00:00:00.000Z', level: 'x' }, { applicationName: 'a' });
+      assert.strictEqual(entry.subsystemName, 'edge');
+      assert.strictEqual(entry.severity, 3);
+    });
+  });
+
   describe('createFastlyLogger', () => {
     let originalLog;
     let originalError;
@@ -379,6 +404,24 @@ describe('Context Logger Test', () => {
       assert.ok(logData.timestamp, 'Should have timestamp');
     });
 
+    it('keeps the invocation alive until pending logs are written', async () => {
+      const pending = [];
+      const context = {
+        invocation: { requestId: 'req-wait' },
+        func: { name: 'wait-func' },
+        runtime: { region: 'test' },
+        attributes: {},
+        waitUntil: (p) => pending.push(p),
+      };
+
+      const logger = createFastlyLogger(context);
+      logger.info('pending message');
+
+      assert.strictEqual(pending.length, 1);
+      await pending[0];
+      assert.ok(logs.some((log) => log.includes('pending message')));
+    });
+
     it('handles all log levels', () => {
       const context = {
         invocation: { requestId: 'test' },
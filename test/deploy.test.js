@@ -47,6 +47,7 @@ describe('Deploy Test', () => {
     await fse.copy(path.resolve(__rootdir, 'test', 'fixtures', 'cf-worker'), testRoot);
 
     let body;
+    let script;
     nock('https://api.cloudflare.com')
       .get('/client/v4/accounts/123/workers/scripts/default--test-worker/script-settings')
       .reply(404)
@@ -55,8 +56,13 @@ describe('Deploy Test', () => {
         return true;
       })
       .reply(200, JSON.stringify({ result: { id: 'test-namespace' } }))
-      .put('/client/v4/accounts/123/workers/scripts/default--test-worker')
+      .put('/client/v4/accounts/123/workers/scripts/default--test-worker', (b) => {
+        script = b;
+        return true;
+      })
       .reply(200)
+      .put('/client/v4/accounts/123/workers/scripts/default--test-worker/schedules', [])
+      .reply(200, JSON.stringify({ result: {} }))
       .post('/client/v4/accounts/123/workers/scripts/default--test-worker/subdomain')
       .reply(200, JSON.stringify({ result: { enabled: true, previews_enabled: true } }));
 
@@ -83,6 +89,10 @@ describe('Deploy Test', () => {
     const res = await builder.run();
 
     assert.deepEqual(body, { title: 'default--secrets' });
+    assert.ok(script.includes('"main_module":"index.js"'), 'metadata should declare the main module');
+    assert.ok(script.includes('filename="index.js"'), 'script should be uploaded as index.js');
+    assert.ok(script.includes('Content-Type: application/javascript+module'));
+    assert.ok(script.includes('export { __webpack_exports__default as default }'));
 
     assert.deepEqual(res, {
       cloudflare: {
@@ -123,6 +133,8 @@ describe('Deploy Test', () => {
         return true;
       })
       .reply(200)
+      .put('/client/v4/accounts/123/workers/scripts/default--test-worker/schedules', [])
+      .reply(200, JSON.stringify({ result: {} }))
       .post('/client/v4/accounts/123/workers/scripts/default--test-worker/subdomain')
       .reply(200, JSON.stringify({ result: { enabled: true, previews_enabled: true } }));
 
@@ -167,4 +179,55 @@ describe('Deploy Test', () => {
       },
     });
   }).timeout(15000);
+
+  it('deploys a cloudflare worker with kv stores', async () => {
+    await fse.copy(path.resolve(__rootdir, 'test', 'fixtures', 'cf-worker'), testRoot);
+
+    const namespaces = [];
+    let script;
+    nock('https://api.cloudflare.com')
+      .get('/client/v4/accounts/123/workers/scripts/default--test-worker/script-settings')
+      .reply(404)
+      .post('/client/v4/accounts/123/storage/kv/namespaces', (b) => {
+        namespaces.push(b.title);
+        return true;
+      })
+      .times(2)
+      .reply(200, (uri, b) => JSON.stringify({ result: { id: `id-${b.title}` } }))
+      .put('/client/v4/accounts/123/workers/scripts/default--test-worker', (b) => {
+        script = b;
+        return true;
+      })
+      .reply(200)
+      .put('/client/v4/accounts/123/workers/scripts/default--test-worker/schedules', [])
+      .reply(200, JSON.stringify({ result: {} }))
+      .post('/client/v4/accounts/123/workers/scripts/default--test-worker/subdomain')
+      .reply(200, JSON.stringify({ result: { enabled: true, previews_enabled: true } }));
+
+    process.chdir(testRoot); // need to change .cwd() for yargs to pickup `wsk` in package.json
+    const builder = await new CLI()
+      .prepare([
+        '--build',
+        '--plugin', resolve(__rootdir, 'src', 'index.js'),
+        '--target', 'cloudflare',
+        '--arch', 'edge',
+        '--verbose',
+        '--deploy',
+        '--entryFile', 'index.js',
+        '--directory', testRoot,
+        '--cloudflare-email', 'fake@email.test',
+        '--cloudflare-account-id', '123',
+        '--cloudflare-auth', 'test-token',
+        '--name', 'test-worker',
+        '--bundler', 'webpack',
+        '--esm', 'false',
+        '--kv-stores', 'SESSIONS',
+      ]);
+    builder.cfg._logger = new TestLogger();
+
+    await builder.run();
+
+    assert.deepEqual(namespaces.sort(), ['default--SESSIONS', 'default--secrets']);
+    assert.ok(script.includes('{"name":"SESSIONS","namespace_id":"id-default--SESSIONS","type":"kv_namespace"}'), script);
+  }).timeout(15000);
 });
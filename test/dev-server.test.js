@@ -0,0 +1,167 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import path from 'path';
+import fse from 'fs-extra';
+import { CLI } from '@adobe/helix-deploy';
+import DevServer, { parseLogEntry } from '../src/emulator/DevServer.js';
+import EdgeDevServer from '../src/EdgeDevServer.js';
+import { createTestRoot, TestLogger } from './utils.js';
+
+const PROJECT = path.resolve(__rootdir, 'test', 'fixtures', 'emulator-action');
+
+describe('Edge Dev Server Test', () => {
+  let testRoot;
+  let origPwd;
+  let bundle;
+  let server;
+
+  before(async () => {
+    testRoot = await createTestRoot();
+    await fse.copy(PROJECT, testRoot);
+    origPwd = process.cwd();
+    process.chdir(testRoot);
+    const builder = await new CLI()
+      .prepare([
+        '--target', 'cloudflare',
+        '--plugin', path.resolve(__rootdir, 'src', 'index.js'),
+        '--bundler', 'webpack',
+        '--esm', 'false',
+        '--arch', 'edge',
+        '--directory', testRoot,
+        '--entryFile', 'src/index.js',
+      ]);
+    await builder.run();
+    bundle = builder.cfg.edgeBundle;
+  });
+
+  after(async () => {
+    process.chdir(origPwd);
+    await fse.remove(testRoot);
+  });
+
+  afterEach(async () => {
+    await server?.stop();
+    server = null;
+  });
+
+  function createServer(opts = {}) {
+    return new DevServer({
+      bundle,
+      build: async () => bundle,
+      port: 0,
+      log: new TestLogger(),
+      emulator: {
+        platform: 'cloudflare',
+        env: { SECRET: 'local' },
+        kvStores: { SESSIONS: {} },
+        fetch: async () => new Response('from upstream'),
+      },
+      ...opts,
+    });
+  }
+
+  it('serves requests with the emulated platform and prints the logs', async () => {
+    server = await createServer().start();
+
+    const res = await fetch(`http://localhost:${server.port}/api`);
+    assert.strictEqual(res.status, 200);
+    const body = await res.json();
+    assert.strictEqual(body.runtime, 'cloudflare-workers');
+    assert.strictEqual(body.secret, 'local');
+    assert.strictEqual(body.visits, 1);
+
+    const { output } = server.log;
+    assert.match(output, /\[requests\] info: \{.*"visits":1/);
+    assert.match(output, /GET \/api 200/);
+  });
+
+  it('returns the error response of the action', async () => {
+    server = await createServer().start();
+
+    const res = await fetch(`http://localhost:${server.port}/error`);
+    assert.strictEqual(res.status, 500);
+    assert.strictEqual(res.headers.get('x-error'), 'boom');
+    assert.match(server.log.output, /\[-\] error: .*Unhandled error: boom/);
+  });
+
+  it('keeps serving the previous bundle if the rebuild fails', async () => {
+    server = await createServer({
+      build: async () => {
+        throw new Error('syntax error');
+      },
+    }).start();
+
+    await server.rebuild();
+    assert.match(server.log.output, /rebuild failed: syntax error/);
+    const res = await fetch(`http://localhost:${server.port}/api`);
+    assert.strictEqual(res.status, 200);
+  });
+
+  it('ignores changes in ignored directories', () => {
+    server = createServer();
+    server.onChange(path.join('node_modules', 'foo', 'index.js'));
+    server.onChange('dist');
+    assert.strictEqual(server.rebuildTimer, null);
+    server.onChange(path.join('src', 'index.js'));
+    assert.ok(server.rebuildTimer);
+  });
+
+  it('parses the structured logs', () => {
+    assert.deepStrictEqual(parseLogEntry({ target: 'console', level: 'info', message: 'my-logger\twarn\t{"level":"warn"}' }), {
+      target: 'my-logger',
+      level: 'warn',
+      message: '{"level":"warn"}',
+    });
+    assert.deepStrictEqual(parseLogEntry({ target: 'requests', message: '{"level":"error"}' }), {
+      target: 'requests',
+      level: 'error',
+      message: '{"level":"error"}',
+    });
+    assert.deepStrictEqual(parseLogEntry({ target: 'console', level: 'debug', message: 'plain' }), {
+      target: 'console',
+      level: 'debug',
+      message: 'plain',
+    });
+  });
+
+  it('reads the local params from the .env file', async () => {
+    await fse.writeFile(path.resolve(testRoot, '.env'), 'SECRET=from-env\nOTHER=value\n');
+    const cfg = new EdgeDevServer.Config().configure({
+      edgeDev: true,
+      edgeDevPlatform: 'cloudflare',
+      edgeDevPort: 0,
+      kvStores: ['SESSIONS'],
+    });
+    const plugin = new EdgeDevServer({
+      log: new TestLogger(),
+      env: path.resolve(testRoot, '.env'),
+      cwd: testRoot,
+      edgeBundle: bundle,
+      params: { OTHER: 'from-params' },
+      packageParams: {},
+      build: false,
+      deploy: true,
+    }, cfg);
+
+    await plugin.validateAdditionalTasks();
+    assert.strictEqual(plugin.cfg.build, true);
+    assert.strictEqual(plugin.cfg.deploy, false);
+
+    server = plugin.createServer();
+    assert.deepStrictEqual(server.emulatorOptions.env, { SECRET: 'from-env', OTHER: 'from-params' });
+    assert.deepStrictEqual(Object.keys(server.emulatorOptions.kvStores), ['SESSIONS']);
+    assert.strictEqual(server.watchDir, testRoot);
+  });
+}).timeout(30000);
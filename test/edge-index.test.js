@@ -0,0 +1,40 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import worker from '../src/template/edge-index.js';
+
+describe('Edge Index Test', () => {
+  it('exports a cloudflare module worker', () => {
+    assert.strictEqual(typeof worker.fetch, 'function');
+    assert.strictEqual(typeof worker.scheduled, 'function');
+  });
+
+  it('passes the env bindings to the cloudflare adapter', async () => {
+    try {
+      global.require = () => ({
+        main: (req, context) => new Response(`${context.runtime.name} ${context.env.SECRET}`),
+      });
+
+      const response = await worker.fetch({
+        url: 'https://example.com/test',
+        cf: { colo: 'ZRH' },
+      }, { SECRET: 'shh' }, {});
+
+      assert.strictEqual(await response.text(), 'cloudflare-workers shh');
+    } finally {
+      delete global.require;
+    }
+  });
+});
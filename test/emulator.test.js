@@ -0,0 +1,409 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import path from 'path';
+import fse from 'fs-extra';
+import { CLI } from '@adobe/helix-deploy';
+import { EdgeEmulator } from '../src/index.js';
+import { createTestRoot } from './utils.js';
+
+const PROJECT = path.resolve(__rootdir, 'test', 'fixtures', 'emulator-action');
+
+describe('Edge Emulator Test', () => {
+  let testRoot;
+  let origPwd;
+  let bundle;
+
+  const upstream = async () => new Response('from upstream');
+
+  before(async () => {
+    testRoot = await createTestRoot();
+    await fse.copy(PROJECT, testRoot);
+    origPwd = process.cwd();
+    process.chdir(testRoot);
+    const builder = await new CLI()
+      .prepare([
+        '--target', 'cloudflare',
+        '--plugin', path.resolve(__rootdir, 'src', 'index.js'),
+        '--bundler', 'webpack',
+        '--esm', 'false',
+        '--arch', 'edge',
+        '--directory', testRoot,
+        '--entryFile', 'src/index.js',
+      ]);
+    await builder.run();
+    bundle = builder.cfg.edgeBundle;
+  });
+
+  after(async () => {
+    process.chdir(origPwd);
+    await fse.remove(testRoot);
+  });
+
+  it('runs the bundle on the emulated fastly runtime', async () => {
+    const emulator = await new EdgeEmulator({
+      bundle,
+      platform: 'fastly',
+      env: { SECRET: 'from-dictionary' },
+      kvStores: { SESSIONS: { visits: '41' } },
+      fetch: upstream,
+    }).load();
+
+    const res = await emulator.fetch('https://localhost/api');
+    assert.strictEqual(res.status, 200);
+    const body = await res.json();
+    assert.strictEqual(body.runtime, 'compute-at-edge');
+    assert.strictEqual(body.app, 'default');
+    assert.strictEqual(body.secret, 'from-dictionary');
+    assert.strictEqual(body.visits, 42);
+    assert.strictEqual(body.upstream, 'from upstream');
+    assert.match(body.requestId, /^[0-9a-f]{32}$/);
+
+    await emulator.drain();
+    assert.strictEqual(emulator.store('SESSIONS').entry('visits').value, '42');
+    const logged = emulator.logs.filter(({ target }) => target === 'requests');
+    assert.strictEqual(logged.length, 1);
+    assert.strictEqual(JSON.parse(logged[0].message).visits, 42);
+  });
+
+  it('uses a trace id per event on the emulated fastly runtime', async () => {
+    const emulator = await new EdgeEmulator({
+      bundle,
+      platform: 'fastly',
+      kvStores: { SESSIONS: {} },
+      fetch: upstream,
+    }).load();
+
+    const responses = await Promise.all([
+      emulator.fetch('https://localhost/api'),
+      emulator.fetch('https://localhost/api'),
+    ]);
+    const [a, b] = await Promise.all(responses.map((res) => res.json()));
+    assert.match(a.requestId, /^[0-9a-f]{32}$/);
+    assert.match(b.requestId, /^[0-9a-f]{32}$/);
+    assert.notStrictEqual(a.requestId, b.requestId);
+  });
+
+  it('records subrequests on the emulated fastly runtime', async () => {
+    const emulator = await new EdgeEmulator({
+      bundle,
+      platform: 'fastly',
+      kvStores: { SESSIONS: {} },
+      fetch: async () => new Response('cached', {
+        headers: { 'x-cache': 'HIT', 'content-length': '6' },
+      }),
+    }).load();
+
+    const res = await emulator.fetch('https://localhost/timed?timing&log');
+    assert.strictEqual(await res.text(), 'cached');
+    assert.match(res.headers.get('server-timing'), /^subreq-1;dur=\d+$/);
+
+    const logged = emulator.logs.filter(({ target }) => target === 'requests');
+    assert.strictEqual(logged.length, 1);
+    const entry = JSON.parse(logged[0].message);
+    assert.deepStrictEqual({ ...entry, duration: 0 }, {
+      ...entry,
+      message: 'subrequest',
+      method: 'GET',
+      host: 'upstream.example.com',
+      path: '/data',
+      status: 200,
+      duration: 0,
+      cache: 'HIT',
+      bytes: 6,
+    });
+  });
+
+  it('does not record subrequests by default on the emulated fastly runtime', async () => {
+    const emulator = await new EdgeEmulator({
+      bundle,
+      platform: 'fastly',
+      kvStores: { SESSIONS: {} },
+      fetch: upstream,
+    }).load();
+
+    let res = await emulator.fetch('https://localhost/timed');
+    assert.strictEqual(res.headers.has('server-timing'), false);
+    res = await emulator.fetch('https://localhost/timed?timing');
+    assert.match(res.headers.get('server-timing'), /^subreq-1;dur=\d+$/);
+    assert.deepStrictEqual(emulator.logs.filter(({ target }) => target === 'requests'), []);
+  });
+
+  it('sends coralogix entries to the coralogix logger on the emulated fastly runtime', async () => {
+    const emulator = await new EdgeEmulator({
+      bundle,
+      platform: 'fastly',
+      env: { _coralogix: JSON.stringify({ logger: 'requests', applicationName: 'my-app' }) },
+      kvStores: { SESSIONS: {} },
+      fetch: upstream,
+    }).load();
+
+    await emulator.fetch('https://localhost/api');
+    await emulator.drain();
+    const logged = emulator.logs.filter(({ target }) => target === 'requests');
+    assert.strictEqual(logged.length, 1);
+    const entry = JSON.parse(logged[0].message);
+    assert.strictEqual(entry.applicationName, 'my-app');
+    assert.strictEqual(entry.severity, 3);
+    assert.strictEqual(typeof entry.subsystemName, 'string');
+    assert.strictEqual(JSON.parse(entry.text).visits, 1);
+  });
+
+  it('creates dynamic backends on the emulated fastly runtime', async () => {
+    const requests = [];
+    const emulator = await new EdgeEmulator({
+      bundle,
+      platform: 'fastly',
+      kvStores: { SESSIONS: {} },
+      fetch: async (url, opts) => {
+        requests.push({ url, backend: opts.backend });
+        return new Response('dynamic');
+      },
+    }).load();
+
+    let res = await emulator.fetch('https://localhost/dynamic');
+    assert.strictEqual(await res.text(), 'dynamic');
+    res = await emulator.fetch('https://localhost/dynamic');
+    assert.strictEqual(await res.text(), 'dynamic');
+
+    assert.strictEqual(requests.length, 2);
+    const { backend } = requests[0];
+    assert.strictEqual(requests[1].backend, backend, 'backend must be reused');
+    assert.strictEqual(backend.name, 'dynamic_api_example_com_8443');
+    assert.strictEqual(backend.target, 'api.example.com:8443');
+    assert.strictEqual(backend.useSSL, true);
+    assert.strictEqual(backend.sniHostname, 'api.example.com');
+    assert.strictEqual(backend.firstByteTimeout, 15000);
+    assert.strictEqual(backend.connectTimeout, 5000);
+  });
+
+  it('accepts URL objects with dynamic backends on the emulated fastly runtime', async () => {
+    const requests = [];
+    const emulator = await new EdgeEmulator({
+      bundle,
+      platform: 'fastly',
+      kvStores: { SESSIONS: {} },
+      fetch: async (url, opts) => {
+        requests.push({ url: String(url), backend: opts.backend });
+        return new Response('dynamic');
+      },
+    }).load();
+
+    let res = await emulator.fetch('https://localhost/dynamic?url');
+    assert.strictEqual(await res.text(), 'dynamic');
+    res = await emulator.fetch('https://localhost/dynamic?url&backend=origin');
+    assert.strictEqual(await res.text(), 'dynamic');
+
+    assert.strictEqual(requests[0].url, 'https://api.example.com:8443/items');
+    assert.strictEqual(requests[0].backend.name, 'dynamic_api_example_com_8443');
+    assert.strictEqual(requests[1].backend, 'origin');
+  });
+
+  it('does not use dynamic backends on cloudflare', async () => {
+    const requests = [];
+    const emulator = await new EdgeEmulator({
+      bundle,
+      platform: 'cloudflare',
+      kvStores: { SESSIONS: {} },
+      fetch: async (url, opts) => {
+        requests.push({ url, backend: opts?.backend });
+        return new Response('dynamic');
+      },
+    }).load();
+
+    const res = await emulator.fetch('https://localhost/dynamic');
+    assert.strictEqual(await res.text(), 'dynamic');
+    assert.strictEqual(requests[0].backend, undefined);
+  });
+
+  it('calls the cache override hooks on cloudflare', async () => {
+    const requests = [];
+    const emulator = await new EdgeEmulator({
+      bundle,
+      platform: 'cloudflare',
+      kvStores: { SESSIONS: {} },
+      fetch: async (request, opts) => {
+        requests.push({ request, opts });
+        return new Response('cached');
+      },
+    }).load();
+
+    const res = await emulator.fetch('https://localhost/hooks');
+    assert.strictEqual(await res.text(), 'cached');
+    assert.strictEqual(res.headers.get('x-after-send'), 'true');
+    assert.strictEqual(requests[0].request.headers.get('x-before-send'), 'true');
+    assert.strictEqual(JSON.stringify(requests[0].opts), '{"cf":{"cacheTtl":60}}');
+  });
+
+  it('purges surrogate keys on the emulated fastly runtime', async () => {
+    const emulator = await new EdgeEmulator({
+      bundle,
+      platform: 'fastly',
+      kvStores: { SESSIONS: {} },
+    }).load();
+
+    const res = await emulator.fetch('https://localhost/purge');
+    assert.strictEqual(await res.text(), 'purged');
+    assert.deepStrictEqual(emulator.purges, [
+      { key: 'products', soft: true },
+      { key: 'product-42', soft: true },
+    ]);
+  });
+
+  it('purges cache tags via the api on the emulated cloudflare runtime', async () => {
+    const requests = [];
+    const emulator = await new EdgeEmulator({
+      bundle,
+      platform: 'cloudflare',
+      env: { CLOUDFLARE_ZONE_ID: 'zone-1', CLOUDFLARE_PURGE_TOKEN: 'purge-token' },
+      kvStores: { SESSIONS: {} },
+      fetch: async (url, opts) => {
+        requests.push({ url, opts });
+        return new Response(JSON.stringify({ success: true }));
+      },
+    }).load();
+
+    const res = await emulator.fetch('https://localhost/purge');
+    assert.strictEqual(await res.text(), 'purged');
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].url, 'https://api.cloudflare.com/client/v4/zones/zone-1/purge_cache');
+    assert.strictEqual(requests[0].opts.headers.authorization, 'Bearer purge-token');
+    assert.strictEqual(requests[0].opts.body, '{"tags":["products","product-42"]}');
+  });
+
+  ['fastly', 'cloudflare'].forEach((platform) => {
+    it(`caches computed values on the emulated ${platform} runtime`, async () => {
+      const emulator = await new EdgeEmulator({
+        bundle,
+        platform,
+        kvStores: { SESSIONS: {} },
+      }).load();
+      const url = 'https://localhost/cache?key=fragment/nav';
+
+      let res = await emulator.fetch(url);
+      assert.strictEqual(res.status, 404);
+
+      res = await emulator.fetch(new Request(url, { method: 'PUT', body: '<nav></nav>' }));
+      assert.strictEqual(res.status, 201);
+
+      res = await emulator.fetch(url);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(await res.text(), '<nav></nav>');
+      assert.strictEqual(res.headers.get('cache-control'), 'max-age=60');
+      assert.strictEqual(res.headers.get('cache-tag'), 'fragments,header');
+
+      res = await emulator.fetch(new Request(url, { method: 'DELETE' }));
+      assert.strictEqual(res.status, 204);
+      res = await emulator.fetch(url);
+      assert.strictEqual(res.status, 404);
+    });
+  });
+
+  it('returns the service version to rollout probes', async () => {
+    const emulator = await new EdgeEmulator({
+      bundle,
+      platform: 'fastly',
+      kvStores: { SESSIONS: {} },
+      fastlyEnv: { FASTLY_SERVICE_VERSION: '7' },
+      fetch: upstream,
+    }).load();
+
+    const probe = await emulator.fetch(new Request('https://localhost/api', {
+      headers: { 'x-edge-rollout-probe': 'true' },
+    }));
+    assert.strictEqual(probe.headers.get('x-edge-service-version'), '7');
+    const res = await emulator.fetch('https://localhost/api');
+    assert.strictEqual(res.headers.get('x-edge-service-version'), null);
+  });
+
+  it('prefers the secret store on the emulated fastly runtime', async () => {
+    const emulator = await new EdgeEmulator({
+      bundle,
+      platform: 'fastly',
+      env: { SECRET: 'from-dictionary' },
+      secretStores: { 'secret-store': { SECRET: 'from-secret-store' } },
+      kvStores: { SESSIONS: {} },
+      fetch: upstream,
+    }).load();
+
+    const res = await emulator.fetch('https://localhost/api');
+    assert.strictEqual((await res.json()).secret, 'from-secret-store');
+  });
+
+  it('runs the bundle on the emulated cloudflare runtime', async () => {
+    const emulator = await new EdgeEmulator({
+      bundle,
+      platform: 'cloudflare',
+      env: { SECRET: 'from-binding' },
+      kvStores: { SESSIONS: {} },
+      cf: { colo: 'ZRH' },
+      fetch: upstream,
+    }).load();
+
+    const res = await emulator.fetch(new Request('https://localhost/api', {
+      headers: { 'cf-ray': 'ray-1' },
+    }));
+    const body = await res.json();
+    assert.deepStrictEqual(body, {
+      runtime: 'cloudflare-workers',
+      app: 'default',
+      secret: 'from-binding',
+      visits: 1,
+      upstream: 'from upstream',
+      requestId: 'ray-1',
+    });
+    const logged = emulator.logs.find(({ message }) => message.startsWith('requests\tinfo\t'));
+    assert.ok(logged, JSON.stringify(emulator.logs));
+  });
+
+  it('returns the error response of the adapter', async () => {
+    const emulator = await new EdgeEmulator({
+      bundle,
+      platform: 'cloudflare',
+    }).load();
+
+    const res = await emulator.fetch('https://localhost/error');
+    assert.strictEqual(res.status, 500);
+    assert.strictEqual(res.headers.get('x-error'), 'boom');
+  });
+
+  it('invokes the scheduled handler on the emulated cloudflare runtime', async () => {
+    const emulator = await new EdgeEmulator({
+      bundle,
+      platform: 'cloudflare',
+      kvStores: { SESSIONS: {} },
+    }).load();
+
+    await emulator.scheduled('*/5 * * * *');
+    assert.strictEqual(emulator.store('SESSIONS').entry('cron').value, '*/5 * * * *');
+  });
+
+  it('does not change the literals of the bundle', async () => {
+    const emulator = await new EdgeEmulator({ bundle, platform: 'fastly' }).load();
+    const res = await emulator.fetch('https://localhost/source');
+    assert.strictEqual(
+      await res.text(),
+      "const { env } = await import('fastly:env'); export { env as default };",
+    );
+  });
+
+  it('rejects requests before the bundle is loaded', async () => {
+    const emulator = new EdgeEmulator({ bundle });
+    await assert.rejects(emulator.fetch('https://localhost/'), /Bundle not loaded/);
+  });
+
+  it('rejects unsupported platforms', () => {
+    assert.throws(() => new EdgeEmulator({ bundle, platform: 'aws' }), /Unsupported platform: aws/);
+  });
+}).timeout(30000);
@@ -13,8 +13,35 @@
 /* eslint-env mocha */
 
 import assert from 'assert';
+import { register } from 'module';
 import adapter, { getEnvInfo, handleRequest } from '../src/template/fastly-adapter.js';
 
+/**
+ * Module of `fastly:env`, which reads the variables from `globalThis.fastlyEnv`. Without
+ * them, it fails like outside of Fastly.
+ */
+const FASTLY_ENV_MODULE = `export function env(name) {
+  if (!globalThis.fastlyEnv) {
+    throw new Error('fastly:env is not available');
+  }
+  return globalThis.fastlyEnv[name];
+}`;
+
+/**
+ * Resolves `fastly:env` to the module above.
+ */
+const FASTLY_ENV_HOOKS = `export async function resolve(specifier, context, next) {
+  if (specifier === 'fastly:env') {
+    return {
+      shortCircuit: true,
+      url: ${JSON.stringify(`data:text/javascript,${encodeURIComponent(FASTLY_ENV_MODULE)}`)},
+    };
+  }
+  return next(specifier, context);
+}`;
+
+register(`data:text/javascript,${encodeURIComponent(FASTLY_ENV_HOOKS)}`);
+
 describe('Fastly Adapter Test', () => {
   it('Captures the environment', () => {
     const headers = new Map();
@@ -167,4 +194,43 @@ describe('Fastly Adapter Test', () => {
       delete global.Dictionary;
     }
   });
+
+  it('returns the error response with the trace id', async () => {
+    const originalLog = console.log;
+    const originalError = console.error;
+    console.log = () => {};
+    console.error = () => {};
+    try {
+      global.fastlyEnv = {
+        FASTLY_SERVICE_VERSION: '7',
+        FASTLY_TRACE_ID: 'trace-42',
+      };
+      global.require = () => ({
+        main: () => {
+          throw new Error('boom');
+        },
+      });
+      global.Dictionary = function MockDictionary() {
+        this.get = () => null;
+      };
+      const res = await handleRequest({
+        request: new Request('https://example.com/test', {
+          headers: { accept: 'application/json' },
+        }),
+      });
+      assert.strictEqual(res.status, 500);
+      assert.strictEqual(res.headers.get('x-error'), 'boom');
+      assert.deepStrictEqual(await res.json(), {
+        status: 500,
+        error: 'Internal Server Error',
+        requestId: 'trace-42',
+      });
+    } finally {
+      console.log = originalLog;
+      console.error = originalError;
+      delete global.fastlyEnv;
+      delete global.require;
+      delete global.Dictionary;
+    }
+  });
 });
@@ -0,0 +1,277 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import http from 'http';
+import {
+  fetch,
+  context,
+  noCache,
+  timeoutSignal,
+  AbortError,
+  FetchBaseError,
+  FetchError,
+  resetCircuitBreakers,
+} from '../src/template/polyfills/fetch.js';
+import {
+  createSubrequestRecorder, createInvocationRecorder, recordSubrequests,
+} from '../src/template/polyfills/subrequests.js';
+
+describe('Fetch Polyfill Tests', () => {
+  let server;
+  let origin;
+  const hits = new Map();
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname === '/flaky') {
+        // fails the first `fail` requests of each `id`
+        const id = url.searchParams.get('id');
+        hits.set(id, (hits.get(id) || 0) + 1);
+        res.writeHead(hits.get(id) > Number(url.searchParams.get('fail')) ? 200 : 503);
+        res.end(`hit ${hits.get(id)}`);
+        return;
+      }
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        const delay = req.url === '/slow' ? 500 : 0;
+        setTimeout(() => {
+          res.writeHead(req.url === '/redirect' ? 302 : 200, {
+            'content-type': 'application/json',
+            location: '/',
+          });
+          res.end(JSON.stringify({ method: req.method, headers: req.headers, body }));
+        }, delay);
+      });
+    });
+    await new Promise((resolve) => {
+      server.listen(0, resolve);
+    });
+    origin = `http://localhost:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => {
+      server.close(resolve);
+    });
+  });
+
+  it('sends plain object bodies as json', async () => {
+    const res = await fetch(`${origin}/`, { method: 'POST', body: { foo: 'bar' } });
+    const { headers, body } = await res.json();
+    assert.strictEqual(headers['content-type'], 'application/json');
+    assert.strictEqual(body, '{"foo":"bar"}');
+  });
+
+  it('does not follow redirects with follow: 0', async () => {
+    const res = await fetch(`${origin}/redirect`, { follow: 0 });
+    assert.strictEqual(res.status, 302);
+  });
+
+  it('aborts requests after the timeout', async () => {
+    await assert.rejects(fetch(`${origin}/slow`, { timeout: 50 }), (e) => {
+      assert.ok(e instanceof AbortError);
+      assert.ok(e instanceof FetchBaseError);
+      assert.strictEqual(e.name, 'AbortError');
+      assert.strictEqual(e.type, 'aborted');
+      return true;
+    });
+    const res = await fetch(`${origin}/`, { timeout: 1000 });
+    assert.strictEqual(res.status, 200);
+  });
+
+  it('aborts requests with a timeout signal', async () => {
+    await assert.rejects(fetch(`${origin}/slow`, { signal: timeoutSignal(50) }), AbortError);
+    const signal = timeoutSignal(10);
+    signal.clear();
+    await new Promise((resolve) => {
+      setTimeout(resolve, 20);
+    });
+    assert.strictEqual(signal.aborted, false);
+    assert.throws(() => timeoutSignal(-1), /needs a timeout in milliseconds/);
+  });
+
+  it('throws a FetchError for failed requests', async () => {
+    const closed = http.createServer();
+    await new Promise((resolve) => {
+      closed.listen(0, '127.0.0.1', resolve);
+    });
+    const { port } = closed.address();
+    await new Promise((resolve) => {
+      closed.close(resolve);
+    });
+    await assert.rejects(fetch(`http://127.0.0.1:${port}/`), (e) => {
+      assert.ok(e instanceof FetchError);
+      assert.strictEqual(e.name, 'FetchError');
+      assert.strictEqual(e.type, 'system');
+      assert.strictEqual(e.code, 'ECONNREFUSED');
+      return true;
+    });
+  });
+
+  it('rejects unsupported options', async () => {
+    await assert.rejects(fetch(`${origin}/`, { decode: false, compress: false }), /Unsupported options at the edge: compress, decode/);
+    await assert.rejects(fetch(`${origin}/`, { timeout: 'soon' }), /needs a timeout in milliseconds/);
+    assert.throws(() => context({ h2: { idleSessionTimeout: 1000 } }), /Unsupported options at the edge: h2/);
+  });
+
+  describe('retries', () => {
+    const warnings = [];
+    const log = { warn: (data) => warnings.push(data) };
+
+    afterEach(() => {
+      warnings.length = 0;
+      resetCircuitBreakers();
+    });
+
+    it('retries retryable statuses and logs the retries', async () => {
+      const res = await fetch(`${origin}/flaky?id=a&fail=2`, {
+        retry: { minDelay: 1, log },
+      });
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(await res.text(), 'hit 3');
+      assert.strictEqual(warnings.length, 2);
+      assert.deepStrictEqual({ ...warnings[0], delay: 0 }, {
+        message: 'retrying subrequest',
+        method: 'GET',
+        url: `${origin}/flaky`,
+        attempt: 1,
+        attempts: 3,
+        delay: 0,
+        reason: 'status 503',
+      });
+    });
+
+    it('logs the retries to the logger of the invocation by default', async () => {
+      const recorder = createInvocationRecorder({ log, attributes: {} });
+      const res = await recordSubrequests(recorder, () => fetch(`${origin}/flaky?id=log&fail=1`, {
+        retry: { minDelay: 1 },
+      }));
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(warnings.length, 1);
+      assert.strictEqual(warnings[0].message, 'retrying subrequest');
+    });
+
+    it('returns the last response when the attempts are exhausted', async () => {
+      const res = await fetch(`${origin}/flaky?id=b&fail=5`, {
+        retry: { attempts: 2, minDelay: 1 },
+      });
+      assert.strictEqual(res.status, 503);
+      assert.strictEqual(await res.text(), 'hit 2');
+    });
+
+    it('does not retry non-idempotent methods', async () => {
+      const res = await fetch(`${origin}/flaky?id=c&fail=1`, {
+        method: 'POST',
+        body: 'data',
+        retry: { minDelay: 1, log },
+      });
+      assert.strictEqual(res.status, 503);
+      assert.strictEqual(warnings.length, 0);
+    });
+
+    it('retries failed requests and throws the last error', async () => {
+      const closed = http.createServer();
+      await new Promise((resolve) => {
+        closed.listen(0, '127.0.0.1', resolve);
+      });
+      const { port } = closed.address();
+      await new Promise((resolve) => {
+        closed.close(resolve);
+      });
+      await assert.rejects(fetch(`http://127.0.0.1:${port}/`, {
+        retry: { attempts: 2, minDelay: 1, log },
+      }), FetchError);
+      assert.strictEqual(warnings.length, 1);
+    });
+
+    it('does not retry beyond the deadline', async () => {
+      const start = Date.now();
+      await assert.rejects(fetch(`${origin}/slow`, {
+        retry: { minDelay: 1, deadline: 100, log },
+      }), AbortError);
+      assert.ok(Date.now() - start < 400);
+      assert.strictEqual(warnings.length, 0);
+    });
+
+    it('opens the circuit breaker of failing origins', async () => {
+      const retry = { attempts: 1, breaker: { threshold: 2 } };
+      assert.strictEqual((await fetch(`${origin}/flaky?id=e&fail=5`, { retry })).status, 503);
+      assert.strictEqual((await fetch(`${origin}/flaky?id=e&fail=5`, { retry })).status, 503);
+      await assert.rejects(fetch(`${origin}/flaky?id=e&fail=5`, { retry }), (e) => {
+        assert.ok(e instanceof FetchError);
+        assert.strictEqual(e.type, 'circuit-open');
+        assert.strictEqual(e.message, `Circuit breaker open for ${origin}`);
+        return true;
+      });
+      // requests without retry policy are not affected
+      assert.strictEqual((await fetch(`${origin}/flaky?id=e&fail=5`)).status, 503);
+
+      resetCircuitBreakers();
+      assert.strictEqual((await fetch(`${origin}/flaky?id=e&fail=5`, { retry })).status, 503);
+    });
+
+    it('closes the circuit breaker after a success', async () => {
+      const retry = { attempts: 1, breaker: { threshold: 2 } };
+      assert.strictEqual((await fetch(`${origin}/flaky?id=f&fail=1`, { retry })).status, 503);
+      assert.strictEqual((await fetch(`${origin}/flaky?id=g&fail=0`, { retry })).status, 200);
+      assert.strictEqual((await fetch(`${origin}/flaky?id=h&fail=1`, { retry })).status, 503);
+      assert.strictEqual((await fetch(`${origin}/flaky?id=h&fail=1`, { retry })).status, 200);
+    });
+  });
+
+  it('records subrequests including retries', async () => {
+    const subrequests = createSubrequestRecorder();
+    const res = await fetch(`${origin}/flaky?id=timed&fail=1`, {
+      retry: { minDelay: 1 },
+      subrequests,
+    });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(subrequests.entries.map(({ status, path }) => ({ status, path })), [
+      { status: 503, path: '/flaky' },
+      { status: 200, path: '/flaky' },
+    ]);
+    await assert.rejects(fetch(`${origin}/slow`, { timeout: 10, subrequests }), AbortError);
+    assert.strictEqual(subrequests.entries[2].error, 'The operation was aborted.');
+  });
+
+  it('records subrequests of the running invocation without options', async () => {
+    const subrequests = createSubrequestRecorder();
+    await recordSubrequests(subrequests, async () => {
+      await fetch(`${origin}/`);
+      await context({ userAgent: 'edge-test/1.0' }).fetch(`${origin}/flaky?id=ctx&fail=0`);
+      await fetch(`${origin}/`, { subrequests: false });
+    });
+    await fetch(`${origin}/`);
+    assert.deepStrictEqual(subrequests.entries.map(({ path }) => path), ['/', '/flaky']);
+  });
+
+  it('creates contexts with a user agent', async () => {
+    const ctx = context({ userAgent: 'edge-test/1.0' });
+    let res = await ctx.fetch(`${origin}/`);
+    assert.strictEqual((await res.json()).headers['user-agent'], 'edge-test/1.0');
+    res = await ctx.fetch(`${origin}/`, { headers: { 'user-agent': 'custom' } });
+    assert.strictEqual((await res.json()).headers['user-agent'], 'custom');
+    await ctx.reset();
+    assert.deepStrictEqual(ctx.cacheStats(), { size: 0, count: 0 });
+
+    res = await noCache().fetch(`${origin}/`);
+    assert.strictEqual(res.status, 200);
+  });
+});
@@ -0,0 +1,95 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+// resolved to the fetch polyfill by the EdgeBundler
+// eslint-disable-next-line import/no-extraneous-dependencies
+import {
+  fetch as portableFetch, enableDynamicBackends, disableDynamicBackends, CacheOverride, cache,
+} from '@adobe/fetch';
+
+export async function main(req, context) {
+  const url = new URL(req.url);
+  if (url.pathname === '/error') {
+    throw new Error('boom');
+  }
+  if (url.pathname === '/source') {
+    return new Response("const { env } = await import('fastly:env'); export { env as default };");
+  }
+  if (url.pathname === '/purge') {
+    await context.purgeSurrogateKey('products product-42', { soft: true });
+    return new Response('purged');
+  }
+  if (url.pathname === '/cache') {
+    const key = url.searchParams.get('key');
+    if (req.method === 'PUT') {
+      await cache.put(key, await req.text(), { ttl: 60, surrogateKeys: 'fragments header' });
+      return new Response('stored', { status: 201 });
+    }
+    if (req.method === 'DELETE') {
+      await cache.delete(key);
+      return new Response(null, { status: 204 });
+    }
+    return await cache.match(key) ?? new Response('miss', { status: 404 });
+  }
+  if (url.pathname === '/timed') {
+    context.attributes.loggers = ['requests'];
+    context.attributes.subrequests = url.searchParams.has('log');
+    context.attributes.serverTiming = url.searchParams.has('timing');
+    const res = await portableFetch('https://upstream.example.com/data?x=1');
+    return new Response(await res.text());
+  }
+  if (url.pathname === '/hooks') {
+    const res = await portableFetch('https://upstream.example.com/data', {
+      cacheOverride: new CacheOverride({
+        ttl: 60,
+        beforeSend: (request) => request.headers.set('x-before-send', 'true'),
+        afterSend: (response) => response.headers.set('x-after-send', 'true'),
+      }),
+    });
+    return new Response(await res.text(), res);
+  }
+  if (url.pathname === '/dynamic') {
+    enableDynamicBackends({ firstByteTimeout: 15000 });
+    try {
+      const target = url.searchParams.has('url')
+        ? new URL('https://api.example.com:8443/items')
+        : 'https://api.example.com:8443/items';
+      const backend = url.searchParams.get('backend') ?? undefined;
+      const res = await portableFetch(target, { backend });
+      return new Response(await res.text());
+    } finally {
+      disableDynamicBackends();
+    }
+  }
+
+  const store = context.storage.open('SESSIONS');
+  const visits = Number(await store.get('visits') || 0) + 1;
+  await store.put('visits', String(visits));
+
+  context.attributes.loggers = ['requests'];
+  context.log.info({ visits });
+
+  const upstream = await fetch('https://upstream.example.com/data');
+  return new Response(JSON.stringify({
+    runtime: context.runtime.name,
+    app: context.func.app,
+    secret: await context.env.SECRET,
+    visits,
+    upstream: await upstream.text(),
+    requestId: context.invocation.requestId,
+  }), {
+    headers: { 'content-type': 'application/json' },
+  });
+}
+
+export async function scheduled(event, context) {
+  await context.storage.open('SESSIONS').put('cron', event.cron);
+}
@@ -18,6 +18,7 @@ import ComputeAtEdgeDeployer from '../src/ComputeAtEdgeDeployer.js';
 import FastlyGateway from '../src/FastlyGateway.js';
 import EdgeBundler from '../src/EdgeBundler.js';
 import CloudflareDeployer from '../src/CloudflareDeployer.js';
+import EdgeDevServer from '../src/EdgeDevServer.js';
 
 describe('Index Tests', () => {
   it('exports the correct plugins', async () => {
@@ -26,6 +27,7 @@ describe('Index Tests', () => {
       FastlyGateway,
       CloudflareDeployer,
       EdgeBundler,
+      EdgeDevServer,
     ]);
   });
 });
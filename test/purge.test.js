@@ -0,0 +1,69 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import { createCloudflarePurge } from '../src/template/purge.js';
+
+describe('Cloudflare Purge Test', () => {
+  const env = { CLOUDFLARE_ZONE_ID: 'zone-1', CLOUDFLARE_PURGE_TOKEN: 'purge-token' };
+  const originalFetch = globalThis.fetch;
+  let requests;
+
+  function mockFetch(response) {
+    requests = [];
+    globalThis.fetch = async (url, opts) => {
+      requests.push({ url, opts });
+      return response.clone();
+    };
+  }
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  it('purges the tags in batches', async () => {
+    mockFetch(new Response(JSON.stringify({ success: true })));
+
+    const keys = Array.from({ length: 35 }, (_, i) => `key-${i}`);
+    await createCloudflarePurge(env)(keys, { soft: true });
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(requests[0].url, 'https://api.cloudflare.com/client/v4/zones/zone-1/purge_cache');
+    assert.strictEqual(requests[0].opts.headers.authorization, 'Bearer purge-token');
+    assert.strictEqual(JSON.parse(requests[0].opts.body).tags.length, 30);
+    assert.deepStrictEqual(JSON.parse(requests[1].opts.body).tags, ['key-30', 'key-31', 'key-32', 'key-33', 'key-34']);
+  });
+
+  it('does nothing without keys', async () => {
+    await createCloudflarePurge({})(' ');
+  });
+
+  it('needs the zone and token', async () => {
+    await assert.rejects(
+      createCloudflarePurge({ CLOUDFLARE_ZONE_ID: 'zone-1' })('a'),
+      /Purging on Cloudflare needs the CLOUDFLARE_ZONE_ID and CLOUDFLARE_PURGE_TOKEN params/,
+    );
+  });
+
+  it('reports failed purges', async () => {
+    mockFetch(new Response(JSON.stringify({
+      success: false,
+      errors: [{ message: 'Authentication error' }],
+    }), { status: 403 }));
+
+    await assert.rejects(
+      createCloudflarePurge(env)('a b'),
+      /Unable to purge cache tags: Authentication error/,
+    );
+  });
+});
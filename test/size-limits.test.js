@@ -0,0 +1,79 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import assert from 'assert';
+import path from 'path';
+import fse from 'fs-extra';
+import { checkSizeLimit, formatSize, getModuleSizesFile } from '../src/size-limits.js';
+import { createTestRoot, TestLogger } from './utils.js';
+
+describe('Size Limits Test', () => {
+  let testRoot;
+  let cfg;
+
+  beforeEach(async () => {
+    testRoot = await createTestRoot();
+    cfg = {
+      name: 'action',
+      edgeBundle: path.resolve(testRoot, 'action-bundle.js'),
+    };
+  });
+
+  afterEach(async () => {
+    await fse.remove(testRoot);
+  });
+
+  it('formats sizes', () => {
+    assert.strictEqual(formatSize(512), '512 B');
+    assert.strictEqual(formatSize(2048), '2.0 KB');
+    assert.strictEqual(formatSize(3 * 1024 * 1024), '3.00 MB');
+  });
+
+  it('accepts packages within the limit', async () => {
+    const log = new TestLogger();
+    await checkSizeLimit({
+      label: 'Test package', size: 1024 * 1024, limit: 1, cfg, log,
+    });
+    assert.match(log.output, /Test package size 1.00 MB is within the limit of 1.00 MB/);
+  });
+
+  it('rejects packages over the limit with a size breakdown', async () => {
+    const modules = Array.from({ length: 22 }, (_, i) => ({
+      name: `./node_modules/lib-${i}/index.js`,
+      size: (22 - i) * 1024,
+    }));
+    await fse.writeJson(getModuleSizesFile(cfg), modules);
+    const log = new TestLogger();
+    await assert.rejects(
+      checkSizeLimit({
+        label: 'Test package', size: 2 * 1024 * 1024, limit: 1, cfg, log,
+      }),
+      /Test package size 2.00 MB exceeds the limit of 1.00 MB/,
+    );
+    assert.match(log.output, /22.0 KB .\/node_modules\/lib-0\/index.js/);
+    assert.match(log.output, /3.0 KB .\/node_modules\/lib-19\/index.js/);
+    assert.doesNotMatch(log.output, /lib-20/);
+    assert.match(log.output, /3.0 KB 2 other modules/);
+  });
+
+  it('rejects packages over the limit without module sizes', async () => {
+    const log = new TestLogger();
+    await assert.rejects(
+      checkSizeLimit({
+        label: 'Test package', size: 2 * 1024 * 1024, limit: 1, cfg, log,
+      }),
+      /exceeds the limit/,
+    );
+    assert.match(log.output, /no module sizes available/);
+  });
+});
@@ -0,0 +1,112 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import {
+  createCloudflareStorage,
+  createFastlyStorage,
+} from '../src/template/storage.js';
+
+/**
+ * In-memory stand-in for a Cloudflare KV namespace binding.
+ */
+function createNamespace() {
+  const data = new Map();
+  return {
+    data,
+    get: async (key) => data.get(key)?.value ?? null,
+    getWithMetadata: async (key) => ({
+      value: data.get(key)?.value ?? null,
+      metadata: data.get(key)?.metadata ?? null,
+    }),
+    put: async (key, value, opts) => {
+      data.set(key, { value, ...opts });
+    },
+    delete: async (key) => {
+      data.delete(key);
+    },
+    list: async ({ prefix = '', limit = 1000 }) => {
+      const keys = [...data.keys()].filter((k) => k.startsWith(prefix));
+      return {
+        keys: keys.slice(0, limit).map((name) => ({ name })),
+        list_complete: keys.length <= limit,
+        cursor: keys.length > limit ? 'next' : undefined,
+      };
+    },
+  };
+}
+
+describe('Storage Test', () => {
+  describe('Cloudflare', () => {
+    it('opens the KV namespace bound to the store name', async () => {
+      const namespace = createNamespace();
+      const storage = createCloudflareStorage({ SESSIONS: namespace });
+      const store = storage.open('SESSIONS');
+      assert.strictEqual(storage.open('SESSIONS'), store);
+
+      await store.put('a', 'hello', { ttl: 120, metadata: { author: 'me' } });
+      assert.deepStrictEqual(namespace.data.get('a'), {
+        value: 'hello',
+        expirationTtl: 120,
+        metadata: { author: 'me' },
+      });
+      assert.strictEqual(await store.get('a'), 'hello');
+      assert.deepStrictEqual(await store.getWithMetadata('a'), {
+        value: 'hello',
+        metadata: { author: 'me' },
+      });
+
+      await store.delete('a');
+      assert.strictEqual(await store.get('a'), null);
+      assert.deepStrictEqual(await store.getWithMetadata('a'), { value: null, metadata: null });
+    });
+
+    it('lists keys with a cursor', async () => {
+      const namespace = createNamespace();
+      const store = createCloudflareStorage({ KV: namespace }).open('KV');
+      await store.put('p/1', '1');
+      await store.put('p/2', '2');
+      await store.put('q/1', '3');
+
+      assert.deepStrictEqual(await store.list({ prefix: 'p/' }), {
+        keys: ['p/1', 'p/2'],
+        cursor: undefined,
+      });
+      assert.deepStrictEqual(await store.list({ limit: 2 }), {
+        keys: ['p/1', 'p/2'],
+        cursor: 'next',
+      });
+    });
+
+    it('throws for unknown stores', () => {
+      const storage = createCloudflareStorage({ SECRET: 'not a namespace' });
+      assert.throws(() => storage.open('MISSING'), /No KV namespace bound to "MISSING"/);
+      assert.throws(() => storage.open('SECRET'), /No KV namespace bound to "SECRET"/);
+    });
+  });
+
+  describe('Fastly', () => {
+    it('opens the same store for the same name', () => {
+      const storage = createFastlyStorage();
+      const store = storage.open('sessions');
+      assert.strictEqual(storage.open('sessions'), store);
+      assert.notStrictEqual(storage.open('other'), store);
+    });
+
+    it('rejects outside of the fastly environment', async () => {
+      const store = createFastlyStorage().open('sessions');
+      await assert.rejects(store.get('a'));
+    });
+  });
+});
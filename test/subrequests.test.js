@@ -0,0 +1,126 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import {
+  createSubrequestRecorder, createInvocationRecorder, recordSubrequests, getActiveRecorder,
+} from '../src/template/polyfills/subrequests.js';
+
+describe('Subrequest Recorder Test', () => {
+  it('records and logs subrequests', () => {
+    const logged = [];
+    const recorder = createSubrequestRecorder({ info: (data) => logged.push(data) });
+    recorder.start('GET', new URL('https://api.example.com/items?page=2'))(new Response('[]', {
+      status: 200,
+      headers: { 'cf-cache-status': 'MISS', 'content-length': '2' },
+    }));
+    recorder.start('POST', new URL('https://api.example.com:8443/orders'))(null, new Error('timeout'));
+
+    assert.deepStrictEqual(recorder.entries.map((entry) => ({ ...entry, duration: 0 })), [{
+      method: 'GET',
+      host: 'api.example.com',
+      path: '/items',
+      status: 200,
+      duration: 0,
+      cache: 'MISS',
+      bytes: 2,
+    }, {
+      method: 'POST',
+      host: 'api.example.com:8443',
+      path: '/orders',
+      status: null,
+      duration: 0,
+      cache: null,
+      bytes: null,
+      error: 'timeout',
+    }]);
+    assert.strictEqual(logged.length, 2);
+    assert.strictEqual(logged[0].message, 'subrequest');
+    assert.strictEqual(logged[1].error, 'timeout');
+  });
+
+  it('creates the server timing summary', () => {
+    const recorder = createSubrequestRecorder();
+    assert.strictEqual(recorder.serverTiming(), '');
+    recorder.entries.push(
+      {
+        method: 'GET', host: 'a.example.com', path: '/', status: 200, duration: 12,
+      },
+      {
+        method: 'PUT', host: 'b.example.com', path: '/x', status: null, duration: 3,
+      },
+    );
+    assert.strictEqual(
+      recorder.serverTiming(),
+      'subreq-1;dur=12, subreq-2;dur=3',
+    );
+  });
+
+  it('limits the server timing summary to 20 subrequests', () => {
+    const recorder = createSubrequestRecorder();
+    for (let i = 0; i < 25; i += 1) {
+      recorder.start('GET', new URL(`https://example.com/${i}`))(new Response(''));
+    }
+    assert.strictEqual(recorder.entries.length, 25);
+    assert.strictEqual(recorder.serverTiming().split(', ').length, 20);
+  });
+
+  it('records nothing for an invocation unless the action enables it', () => {
+    const logged = [];
+    const context = { log: { info: (data) => logged.push(data) }, attributes: {} };
+    const recorder = createInvocationRecorder(context);
+    const url = new URL('https://api.example.com/items');
+    recorder.start('GET', url)(new Response(''));
+    assert.deepStrictEqual(recorder.entries, []);
+
+    context.attributes.serverTiming = true;
+    recorder.start('GET', url)(new Response(''));
+    assert.strictEqual(recorder.entries.length, 1);
+    assert.deepStrictEqual(logged, []);
+
+    context.attributes.subrequests = true;
+    recorder.start('GET', url)(new Response(''));
+    assert.strictEqual(recorder.entries.length, 2);
+    assert.strictEqual(logged.length, 1);
+  });
+
+  it('provides the recorder of the running invocation', async () => {
+    const recorder = createSubrequestRecorder();
+    assert.strictEqual(getActiveRecorder(), null);
+    const result = await recordSubrequests(recorder, async () => getActiveRecorder());
+    assert.strictEqual(result, recorder);
+    assert.strictEqual(getActiveRecorder(), null);
+  });
+
+  it('provides no recorder while invocations overlap', async () => {
+    let release;
+    const first = recordSubrequests(createSubrequestRecorder(), () => new Promise((resolve) => {
+      release = resolve;
+    }));
+    const overlapping = await recordSubrequests(
+      createSubrequestRecorder(),
+      async () => getActiveRecorder(),
+    );
+    release();
+    await first;
+    assert.strictEqual(overlapping, null);
+  });
+
+  it('stops recording when the invocation fails', async () => {
+    await assert.rejects(recordSubrequests(createSubrequestRecorder(), async () => {
+      throw new Error('boom');
+    }), /boom/);
+    assert.strictEqual(getActiveRecorder(), null);
+  });
+});